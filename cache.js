@@ -0,0 +1,357 @@
+import fs from "fs";
+import path from "path";
+import net from "net";
+import crypto from "crypto";
+
+// ---- Upstream response cache ----
+// Two tiers: an in-memory LRU in front of an optional persistent backend (disk or Redis),
+// so a container restart doesn't turn into a burst of upstream calls.
+//
+// Entries are { value, expires } with an absolute expiry, so a value read back from the
+// backend keeps its original deadline.
+
+/**
+ * In-memory LRU. Map iteration order is insertion order, so re-inserting on read keeps
+ * the most recently used keys at the end and the first key is always the eviction candidate.
+ */
+export function createMemoryLru({ maxEntries = 500 } = {}) {
+  const map = new Map();
+
+  return {
+    get(key) {
+      const e = map.get(key);
+      if (!e) return null;
+      if (Date.now() > e.expires) {
+        map.delete(key);
+        return null;
+      }
+      map.delete(key);
+      map.set(key, e);
+      return e;
+    },
+    set(key, entry) {
+      map.delete(key);
+      map.set(key, entry);
+      while (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+    delete(key) {
+      map.delete(key);
+    },
+    clear() {
+      map.clear();
+    },
+    get size() {
+      return map.size;
+    }
+  };
+}
+
+/**
+ * One JSON file per key under `dir` (file name is a hash of the key).
+ * Expired files are removed lazily on read and by a periodic sweep. The sweep also keeps at most
+ * `maxEntries` files, removing the oldest (by mtime) first; it runs early once that many entries
+ * were written since the last one.
+ */
+export function createDiskStore({ dir, sweepMs = 60 * 60 * 1000, maxEntries = 5000 }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (key) => path.join(dir, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+  let writesSinceSweep = 0;
+  let sweeping = null;
+
+  async function sweepOnce() {
+    writesSinceSweep = 0;
+    try {
+      const now = Date.now();
+      const kept = [];
+      for (const f of await fs.promises.readdir(dir)) {
+        if (!f.endsWith(".json")) continue;
+        const p = path.join(dir, f);
+        try {
+          const e = JSON.parse(await fs.promises.readFile(p, "utf8"));
+          if (!e || now > e.expires) await fs.promises.unlink(p);
+          else kept.push({ p, mtime: (await fs.promises.stat(p)).mtimeMs });
+        } catch {
+          await fs.promises.unlink(p).catch(() => {});
+        }
+      }
+      kept.sort((a, b) => a.mtime - b.mtime);
+      for (const { p } of kept.slice(0, Math.max(0, kept.length - maxEntries))) await fs.promises.unlink(p).catch(() => {});
+    } catch {
+      // ignore
+    }
+  }
+
+  // One sweep at a time
+  function sweep() {
+    sweeping ??= sweepOnce().finally(() => (sweeping = null));
+    return sweeping;
+  }
+
+  setInterval(sweep, sweepMs).unref();
+
+  return {
+    name: "disk",
+    async get(key) {
+      const p = fileFor(key);
+      try {
+        const e = JSON.parse(await fs.promises.readFile(p, "utf8"));
+        if (!e || typeof e.expires !== "number") return null;
+        if (Date.now() > e.expires) {
+          fs.promises.unlink(p).catch(() => {});
+          return null;
+        }
+        return e;
+      } catch {
+        return null;
+      }
+    },
+    async set(key, entry) {
+      const p = fileFor(key);
+      const tmp = `${p}.${process.pid}.tmp`;
+      try {
+        await fs.promises.writeFile(tmp, JSON.stringify(entry), "utf8");
+        await fs.promises.rename(tmp, p);
+      } catch {
+        fs.promises.unlink(tmp).catch(() => {});
+      }
+      if (++writesSinceSweep >= maxEntries) sweep();
+    },
+    sweep
+  };
+}
+
+// ---- Minimal Redis (RESP2) client: just enough for AUTH / SELECT / GET / SET PX ----
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+// Parse one reply from buf starting at offset. Returns { value, next } or null if incomplete.
+function parseReply(buf, offset = 0) {
+  const lineEnd = buf.indexOf("\r\n", offset);
+  if (lineEnd < 0) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  if (type === "+") return { value: line, next };
+  if (type === "-") return { value: new Error(line), next };
+  if (type === ":") return { value: Number(line), next };
+  if (type === "$") {
+    const len = Number(line);
+    if (len < 0) return { value: null, next };
+    if (buf.length < next + len + 2) return null;
+    return { value: buf.toString("utf8", next, next + len), next: next + len + 2 };
+  }
+  if (type === "*") {
+    const n = Number(line);
+    if (n < 0) return { value: null, next };
+    const arr = [];
+    let pos = next;
+    for (let i = 0; i < n; i++) {
+      const r = parseReply(buf, pos);
+      if (!r) return null;
+      arr.push(r.value);
+      pos = r.next;
+    }
+    return { value: arr, next: pos };
+  }
+  throw new Error(`Unexpected RESP type ${JSON.stringify(type)}`);
+}
+
+/**
+ * Redis backend. Connects lazily and never throws to the caller: an unreachable Redis behaves like a
+ * cache miss. After a failure it is treated as down for a backoff (doubling from retryBaseMs up to
+ * retryMaxMs) so cache reads don't each wait for a connect attempt; the next command after that reconnects.
+ *   url: redis://[:password@]host[:port][/db]
+ */
+export function createRedisStore({ url, prefix = "ikea-lookup:", timeoutMs = 1000, retryBaseMs = 1000, retryMaxMs = 30_000, log = console }) {
+  const u = new URL(url);
+  const host = u.hostname || "127.0.0.1";
+  const port = Number(u.port || 6379);
+  const password = u.password ? decodeURIComponent(u.password) : null;
+  const db = Number(String(u.pathname || "").replace(/^\//, "") || 0);
+
+  let socket = null;
+  let ready = null; // Promise while connecting/connected
+  let buffer = Buffer.alloc(0);
+  let pending = []; // [{ resolve, reject, timer }]
+  let warned = false;
+  let downUntil = 0;
+  let backoffMs = 0;
+
+  function failAll(err) {
+    for (const p of pending) {
+      clearTimeout(p.timer);
+      p.reject(err);
+    }
+    pending = [];
+  }
+
+  function reset(err) {
+    if (socket) socket.destroy();
+    socket = null;
+    ready = null;
+    buffer = Buffer.alloc(0);
+    failAll(err || new Error("Redis connection closed"));
+    backoffMs = Math.min(retryMaxMs, backoffMs ? backoffMs * 2 : retryBaseMs);
+    downUntil = Date.now() + backoffMs;
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reset(new Error("Redis command timed out")), timeoutMs);
+      pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    if (ready) return ready;
+    ready = new Promise((resolve, reject) => {
+      const s = net.createConnection({ host, port });
+      socket = s;
+      // Events of a socket that was already replaced must not tear down its successor
+      const onError = (err) => {
+        reject(err);
+        if (socket === s) reset(err);
+      };
+      s.setNoDelay(true);
+      s.once("error", onError);
+      s.setTimeout(timeoutMs, () => onError(new Error("Redis connect timed out")));
+      s.on("data", (chunk) => {
+        if (socket !== s) return;
+        buffer = Buffer.concat([buffer, chunk]);
+        let r;
+        while (buffer.length && (r = parseReply(buffer))) {
+          buffer = buffer.subarray(r.next);
+          const p = pending.shift();
+          if (!p) continue;
+          clearTimeout(p.timer);
+          if (r.value instanceof Error) p.reject(r.value);
+          else p.resolve(r.value);
+        }
+      });
+      s.on("close", () => {
+        if (socket === s) reset();
+      });
+      s.once("connect", async () => {
+        s.setTimeout(0);
+        try {
+          if (password) await send(u.username ? ["AUTH", decodeURIComponent(u.username), password] : ["AUTH", password]);
+          if (db) await send(["SELECT", db]);
+          backoffMs = 0;
+          warned = false;
+          resolve();
+        } catch (e) {
+          onError(e);
+        }
+      });
+    });
+    return ready;
+  }
+
+  async function command(args) {
+    if (!ready && Date.now() < downUntil) return null;
+    try {
+      await connect();
+      return await send(args);
+    } catch (e) {
+      if (!warned) {
+        warned = true;
+        log.error(`Redis cache unavailable (${host}:${port}): ${e?.message || e}`);
+      }
+      return null;
+    }
+  }
+
+  return {
+    name: "redis",
+    async get(key) {
+      const raw = await command(["GET", prefix + key]);
+      if (typeof raw !== "string") return null;
+      try {
+        const e = JSON.parse(raw);
+        return e && Date.now() <= e.expires ? e : null;
+      } catch {
+        return null;
+      }
+    },
+    async set(key, entry) {
+      const ttl = Math.max(1, entry.expires - Date.now());
+      await command(["SET", prefix + key, JSON.stringify(entry), "PX", ttl]);
+    },
+    close() {
+      reset(new Error("Redis client closed"));
+    }
+  };
+}
+
+/**
+ * The shared upstream cache.
+ *   maxEntries      memory LRU size
+ *   diskMaxEntries  most files the disk backend keeps (oldest removed first)
+ *   backend         "memory" | "disk" | "redis"
+ *   dir             disk backend directory
+ *   redisUrl        redis backend URL
+ *   ttls            { kind: ms } per upstream endpoint kind; defaultTtlMs for anything else
+ */
+export function createCache({ maxEntries = 500, diskMaxEntries = 5000, backend = "memory", dir = null, redisUrl = null, ttls = {}, defaultTtlMs = 60_000, log = console } = {}) {
+  const memory = createMemoryLru({ maxEntries });
+  let store = null;
+  if (backend === "disk" && dir) {
+    try {
+      store = createDiskStore({ dir, maxEntries: diskMaxEntries });
+    } catch (e) {
+      log.error(`Disk cache unavailable (${dir}), using memory only: ${e?.message || e}`);
+    }
+  } else if (backend === "redis" && redisUrl) store = createRedisStore({ url: redisUrl, log });
+
+  const stats = { memoryHits: 0, backendHits: 0, misses: 0, sets: 0 };
+
+  function ttlFor(kind) {
+    const t = Number(ttls?.[kind]);
+    return Number.isFinite(t) && t >= 0 ? t : defaultTtlMs;
+  }
+
+  return {
+    backend: store ? store.name : "memory",
+    ttlFor,
+
+    async get(key) {
+      const m = memory.get(key);
+      if (m) {
+        stats.memoryHits++;
+        return m.value;
+      }
+      if (store) {
+        const e = await store.get(key);
+        if (e) {
+          stats.backendHits++;
+          memory.set(key, e);
+          return e.value;
+        }
+      }
+      stats.misses++;
+      return null;
+    },
+
+    async set(key, value, { kind = null, ttlMs = null } = {}) {
+      const ttl = ttlMs ?? ttlFor(kind);
+      if (!ttl) return;
+      const entry = { value, expires: Date.now() + ttl };
+      stats.sets++;
+      memory.set(key, entry);
+      if (store) await store.set(key, entry);
+    },
+
+    stats() {
+      return { backend: store ? store.name : "memory", memoryEntries: memory.size, ...stats };
+    }
+  };
+}
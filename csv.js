@@ -0,0 +1,134 @@
+// ---- CSV import/export for bulk lookups ----
+// Parsing follows RFC 4180 (quoted fields, doubled quotes, newlines inside quotes) and accepts the
+// variants spreadsheets produce: a UTF-8 BOM, CRLF line endings and ";" or tab instead of ",".
+
+/**
+ * Guess the delimiter from the first line: the most frequent of , ; and tab outside quotes.
+ */
+function detectDelimiter(text) {
+  const counts = { ",": 0, ";": 0, "\t": 0 };
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === "\n" || ch === "\r")) break;
+    else if (!quoted && ch in counts) counts[ch]++;
+  }
+  const [best, n] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return n > 0 ? best : ",";
+}
+
+/**
+ * Parse CSV text into rows: [{ line, cells }] with the 1-based line each row starts on (a quoted field can
+ * span lines) and its fields as strings. Blank lines are dropped; line numbers still count them.
+ */
+export function parseCsv(text) {
+  const s = String(text || "").replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(s);
+  const rows = [];
+  let cells = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(field);
+    if (cells.some((f) => f.trim() !== "")) rows.push({ line: rowLine, cells });
+    cells = [];
+    field = "";
+  };
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === "\n" || (ch === "\r" && s[i + 1] !== "\n")) line++;
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") {
+        i++;
+        line++;
+      }
+      endRow();
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+// Header names per column, in order of preference: a header matching an earlier pattern wins, so
+// "Article number" or "SKU" is the article column even next to a generic "Product"/"Item" one.
+// Name/description columns ("Product name") never count as the article.
+const HEADER_PATTERNS = {
+  article: [
+    /^(article|art\.?\s*(no|nr|number)?)(?![a-z])(?!.*\b(name|description|title)\b)/i,
+    /^sku(?![a-z])/i,
+    /^(item|product)(?![a-z])(?!.*\b(name|description|title)\b)/i
+  ],
+  store: [/^((store|shop)(\s*(id|no|nr|number|code))?|bu\s*code)$/i],
+  qty: [/^(qty|quantity|count|amount|wanted|desired)/i]
+};
+
+function findColumn(header, patterns) {
+  for (const re of patterns) {
+    const i = header.findIndex((c) => re.test(c));
+    if (i >= 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Bulk-lookup rows from parseCsv() output: [{ line, article, store, qty }] with the source line and the raw
+ * cell values (null when absent). A first row naming an article column is a header and columns are
+ * matched by name; without one the columns are article, store, qty.
+ */
+export function csvLookupRows(rows) {
+  let columns = { article: 0, store: 1, qty: 2 };
+  let start = 0;
+
+  const header = rows[0]?.cells.map((c) => c.trim()) ?? [];
+  if (findColumn(header, HEADER_PATTERNS.article) >= 0) {
+    columns = Object.fromEntries(Object.entries(HEADER_PATTERNS).map(([key, patterns]) => [key, findColumn(header, patterns)]));
+    start = 1;
+  }
+
+  const cell = (cells, i) => (i >= 0 && cells[i] !== undefined && cells[i].trim() !== "" ? cells[i].trim() : null);
+  return rows.slice(start).map(({ line, cells }) => ({
+    line,
+    article: cell(cells, columns.article),
+    store: cell(cells, columns.store),
+    qty: cell(cells, columns.qty)
+  }));
+}
+
+// Quote when needed. Text starting with = + - @ is prefixed with ' so spreadsheets don't run it as a formula.
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  let s = String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * CSV text from objects: a header row of `columns`, then one row per object (CRLF line endings).
+ */
+export function toCsv(objects, columns) {
+  const lines = [columns.map(csvCell).join(",")];
+  for (const o of objects) lines.push(columns.map((c) => csvCell(o?.[c])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
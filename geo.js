@@ -0,0 +1,289 @@
+// ---- Offline geo helpers: postcode centroids and distances ----
+// The centroid table is bundled so /api/nearby works without a geocoding service. It is deliberately
+// coarse: AU/NZ postcodes are keyed by their first 2-3 digits, GB postcodes by area letters (optionally a
+// full outward code). Lookups use the longest matching prefix, so finer entries can simply be added.
+// That is plenty for ranking IKEA stores, which are tens to hundreds of km apart.
+
+// [lat, lon] per postcode prefix
+export const POSTCODE_CENTROIDS = {
+  au: {
+    "08": [-12.46, 130.84], // Darwin
+    "09": [-12.42, 130.9],
+    "20": [-33.87, 151.21], // Sydney
+    "21": [-33.78, 151.05],
+    "22": [-33.97, 151.05],
+    "23": [-32.93, 151.6], // Newcastle / Hunter
+    "24": [-30.5, 152.0], // Northern NSW
+    "25": [-34.55, 150.75], // Illawarra / South Coast
+    "26": [-35.0, 149.0], // Southern Tablelands
+    "260": [-35.28, 149.13], // Canberra
+    "261": [-35.24, 149.06],
+    "27": [-33.75, 150.7], // Western Sydney / Blue Mountains
+    "28": [-32.8, 148.6], // Central West NSW
+    "29": [-35.35, 149.08], // ACT
+    "30": [-37.81, 144.96], // Melbourne
+    "31": [-37.82, 145.2],
+    "32": [-38.15, 144.36], // Geelong
+    "33": [-37.56, 143.85], // Ballarat / Western Victoria
+    "34": [-36.76, 144.28], // Bendigo
+    "35": [-35.5, 142.5], // North-west Victoria
+    "36": [-36.38, 145.4], // Shepparton
+    "37": [-36.3, 146.9], // North-east Victoria
+    "38": [-38.2, 146.5], // Gippsland
+    "39": [-38.35, 145.1], // Mornington Peninsula
+    "40": [-27.47, 153.03], // Brisbane
+    "41": [-27.58, 153.08],
+    "42": [-28.0, 153.4], // Gold Coast
+    "43": [-27.56, 152.5], // Ipswich / Toowoomba
+    "44": [-27.0, 150.0], // South-west Queensland
+    "45": [-26.9, 153.0], // Moreton Bay / Sunshine Coast
+    "46": [-25.3, 152.4], // Wide Bay
+    "47": [-22.5, 149.5], // Central Queensland
+    "48": [-18.5, 146.5], // North Queensland
+    "481": [-19.26, 146.8], // Townsville
+    "487": [-16.92, 145.77], // Cairns
+    "50": [-34.93, 138.6], // Adelaide
+    "51": [-34.8, 138.65],
+    "52": [-35.1, 138.8], // Adelaide Hills / Fleurieu
+    "53": [-35.5, 140.0], // Riverland / South East
+    "54": [-33.5, 138.5], // Mid North
+    "55": [-33.8, 137.7], // Yorke Peninsula
+    "56": [-33.0, 137.5], // Eyre Peninsula
+    "57": [-32.5, 137.8], // Port Augusta / Outback
+    "58": [-34.93, 138.6],
+    "60": [-31.95, 115.86], // Perth
+    "61": [-32.05, 115.9],
+    "62": [-33.0, 115.8], // Peel / South West
+    "63": [-33.0, 117.5], // Wheatbelt / Great Southern
+    "64": [-31.0, 121.0], // Goldfields
+    "65": [-28.8, 114.6], // Mid West
+    "67": [-20.7, 116.8], // Pilbara / Kimberley
+    "68": [-31.95, 115.86],
+    "69": [-31.95, 115.86],
+    "70": [-42.88, 147.33], // Hobart
+    "71": [-42.9, 147.0],
+    "72": [-41.44, 147.14], // Launceston
+    "73": [-41.1, 146.0], // North-west Tasmania
+    "74": [-41.8, 145.5] // West Coast Tasmania
+  },
+  nz: {
+    "01": [-35.72, 174.32], // Whangārei / Northland
+    "02": [-35.3, 173.8],
+    "03": [-35.9, 173.9],
+    "04": [-35.2, 173.9],
+    "05": [-36.3, 174.5],
+    "06": [-36.84, 174.64], // West Auckland / North Shore
+    "07": [-36.78, 174.75],
+    "09": [-36.6, 174.7], // Rodney
+    "10": [-36.85, 174.76], // Auckland central
+    "20": [-36.99, 174.88], // Manukau
+    "21": [-37.06, 174.94], // Papakura
+    "24": [-37.2, 174.9], // Pukekohe
+    "25": [-37.2, 174.9],
+    "26": [-37.2, 174.9],
+    "30": [-38.14, 176.25], // Rotorua
+    "31": [-37.69, 176.17], // Tauranga
+    "32": [-37.79, 175.28], // Hamilton
+    "33": [-38.0, 175.5],
+    "34": [-38.3, 175.2],
+    "35": [-37.0, 175.7], // Coromandel
+    "36": [-37.1, 175.8],
+    "37": [-37.8, 175.1],
+    "38": [-38.7, 175.9], // Taupō
+    "39": [-38.9, 175.3],
+    "40": [-38.66, 178.02], // Gisborne
+    "41": [-39.5, 176.9], // Napier / Hastings
+    "42": [-39.9, 176.6],
+    "43": [-39.06, 174.08], // New Plymouth
+    "44": [-40.35, 175.61], // Palmerston North
+    "45": [-39.93, 175.05], // Whanganui
+    "46": [-39.6, 174.3],
+    "47": [-40.0, 175.6],
+    "48": [-40.6, 175.3],
+    "49": [-40.3, 176.0],
+    "50": [-41.15, 174.92], // Hutt Valley / Porirua / Kāpiti
+    "57": [-41.0, 175.6], // Wairarapa
+    "58": [-41.0, 175.5],
+    "60": [-41.29, 174.78], // Wellington
+    "61": [-41.29, 174.78],
+    "70": [-41.27, 173.28], // Nelson
+    "71": [-41.2, 172.8],
+    "72": [-41.51, 173.95], // Blenheim
+    "73": [-42.4, 173.7],
+    "74": [-43.0, 172.6],
+    "75": [-43.7, 172.9],
+    "76": [-43.6, 172.2],
+    "77": [-43.9, 171.75], // Ashburton
+    "78": [-42.45, 171.21], // West Coast
+    "79": [-44.4, 171.25], // Timaru
+    "80": [-43.53, 172.63], // Christchurch
+    "81": [-43.5, 172.6],
+    "82": [-43.53, 172.63],
+    "90": [-45.87, 170.5], // Dunedin
+    "91": [-45.5, 170.3],
+    "92": [-45.0, 169.5],
+    "93": [-45.03, 168.66], // Queenstown
+    "94": [-45.1, 170.97], // Oamaru
+    "95": [-46.1, 169.8],
+    "96": [-45.4, 167.7],
+    "97": [-46.1, 168.9],
+    "98": [-46.41, 168.35] // Invercargill
+  },
+  gb: {
+    AB: [57.15, -2.1],
+    AL: [51.75, -0.34],
+    B: [52.48, -1.9],
+    BA: [51.38, -2.36],
+    BB: [53.75, -2.48],
+    BD: [53.79, -1.75],
+    BH: [50.72, -1.88],
+    BL: [53.58, -2.43],
+    BN: [50.83, -0.14],
+    BR: [51.4, 0.02],
+    BS: [51.45, -2.59],
+    BT: [54.6, -5.93],
+    CA: [54.89, -2.93],
+    CB: [52.2, 0.12],
+    CF: [51.48, -3.18],
+    CH: [53.19, -2.89],
+    CM: [51.73, 0.47],
+    CO: [51.89, 0.9],
+    CR: [51.37, -0.1],
+    CT: [51.28, 1.08],
+    CV: [52.41, -1.51],
+    CW: [53.1, -2.44],
+    DA: [51.44, 0.22],
+    DD: [56.46, -2.97],
+    DE: [52.92, -1.48],
+    DG: [55.07, -3.61],
+    DH: [54.78, -1.57],
+    DL: [54.52, -1.55],
+    DN: [53.52, -1.13],
+    DT: [50.71, -2.44],
+    DY: [52.51, -2.09],
+    E: [51.54, -0.03],
+    EC: [51.52, -0.09],
+    EH: [55.95, -3.19],
+    EN: [51.65, -0.08],
+    EX: [50.72, -3.53],
+    FK: [56.0, -3.78],
+    FY: [53.82, -3.05],
+    G: [55.86, -4.25],
+    GL: [51.86, -2.24],
+    GU: [51.24, -0.57],
+    HA: [51.58, -0.33],
+    HD: [53.65, -1.78],
+    HG: [53.99, -1.54],
+    HP: [51.75, -0.47],
+    HR: [52.06, -2.72],
+    HS: [57.76, -7.0],
+    HU: [53.74, -0.33],
+    HX: [53.72, -1.86],
+    IG: [51.56, 0.07],
+    IP: [52.06, 1.15],
+    IV: [57.48, -4.22],
+    KA: [55.61, -4.5],
+    KT: [51.41, -0.3],
+    KW: [58.98, -2.96],
+    KY: [56.11, -3.16],
+    L: [53.41, -2.98],
+    LA: [54.05, -2.8],
+    LD: [52.24, -3.38],
+    LE: [52.64, -1.13],
+    LL: [53.32, -3.83],
+    LN: [53.23, -0.54],
+    LS: [53.8, -1.55],
+    LU: [51.88, -0.42],
+    M: [53.48, -2.24],
+    ME: [51.38, 0.52],
+    MK: [52.04, -0.76],
+    ML: [55.79, -3.99],
+    N: [51.57, -0.11],
+    NE: [54.98, -1.61],
+    NG: [52.95, -1.15],
+    NN: [52.24, -0.9],
+    NP: [51.59, -3.0],
+    NR: [52.63, 1.3],
+    NW: [51.55, -0.19],
+    OL: [53.54, -2.12],
+    OX: [51.75, -1.26],
+    PA: [55.85, -4.42],
+    PE: [52.57, -0.24],
+    PH: [56.4, -3.43],
+    PL: [50.38, -4.14],
+    PO: [50.82, -1.09],
+    PR: [53.76, -2.7],
+    RG: [51.45, -0.97],
+    RH: [51.24, -0.17],
+    RM: [51.58, 0.18],
+    S: [53.38, -1.47],
+    SA: [51.62, -3.94],
+    SE: [51.47, -0.06],
+    SG: [51.9, -0.2],
+    SK: [53.41, -2.15],
+    SL: [51.51, -0.59],
+    SM: [51.36, -0.19],
+    SN: [51.56, -1.78],
+    SO: [50.9, -1.4],
+    SP: [51.07, -1.79],
+    SR: [54.91, -1.38],
+    SS: [51.54, 0.71],
+    ST: [53.0, -2.18],
+    SW: [51.46, -0.17],
+    SY: [52.71, -2.75],
+    TA: [51.02, -3.1],
+    TD: [55.61, -2.81],
+    TF: [52.68, -2.45],
+    TN: [51.19, 0.27],
+    TQ: [50.46, -3.53],
+    TR: [50.26, -5.05],
+    TS: [54.57, -1.23],
+    TW: [51.45, -0.34],
+    UB: [51.53, -0.42],
+    W: [51.51, -0.2],
+    WA: [53.39, -2.59],
+    WC: [51.52, -0.12],
+    WD: [51.66, -0.4],
+    WF: [53.68, -1.5],
+    WN: [53.55, -2.63],
+    WR: [52.19, -2.22],
+    WS: [52.59, -1.98],
+    WV: [52.59, -2.13],
+    YO: [53.96, -1.08],
+    ZE: [60.15, -1.15]
+  }
+};
+
+// Prefixes to try for a postcode, longest first. GB: outward code ("HA9"), then area ("HA").
+function postcodePrefixes(market, postcode) {
+  const p = String(postcode || "").toUpperCase().replace(/\s+/g, "");
+  if (market === "gb") {
+    const m = p.match(/^([A-Z]{1,2})(\d[A-Z\d]?)(\d[A-Z]{2})?$/);
+    return m ? [m[1] + m[2], m[1]] : [];
+  }
+  if (!/^\d{4}$/.test(p)) return [];
+  return [p, p.slice(0, 3), p.slice(0, 2)];
+}
+
+/**
+ * Approximate centroid of a postcode: { lat, lon, match } (match is the table prefix that was used),
+ * or null for an unknown market, a malformed postcode or a prefix the table doesn't cover.
+ */
+export function postcodeCentroid(market, postcode) {
+  const table = POSTCODE_CENTROIDS[String(market || "").toLowerCase()];
+  if (!table) return null;
+  for (const prefix of postcodePrefixes(String(market).toLowerCase(), postcode)) {
+    const c = table[prefix];
+    if (c) return { lat: c[0], lon: c[1], match: prefix };
+  }
+  return null;
+}
+
+// Great-circle distance in km (haversine)
+export function distanceKm(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
@@ -0,0 +1,315 @@
+import { decodeHtmlEntities, stripHtml } from "./html.js";
+
+// ---- Store opening hours ----
+// Parsing of the hours on an IKEA store page (weekly rows and one-off holiday hours) into a schedule
+// { timeZone, weekly, special }, and open/closed state of that schedule at a given instant. Pure
+// functions; fetching and caching the page is up to the caller (see getStoreHours in server.js).
+
+export function parseStoreHoursFromHtml(html) {
+  // Target the block: <div class="hnf-store__container__block"> ... <h2>Store</h2> ... <dl>...</dl>
+  const blockRe = /<div[^>]*class=["'][^"']*hnf-store__container__block[^"']*["'][^>]*>[\s\S]*?<h2[^>]*>\s*Store\s*<\/h2>[\s\S]*?<dl[^>]*>([\s\S]*?)<\/dl>/i;
+  const bm = String(html || "").match(blockRe);
+  if (!bm) return [];
+  return parseDlPairs(bm[1]).map(([days, hours]) => ({ days, hours }));
+}
+
+// <dt>..</dt><dd>..</dd> pairs of a <dl> body as plain-text [dt, dd] tuples
+function parseDlPairs(dl) {
+  const out = [];
+  const pairRe = /<dt[^>]*>([\s\S]*?)<\/dt>\s*<dd[^>]*>([\s\S]*?)<\/dd>/gi;
+  let m;
+  while ((m = pairRe.exec(String(dl || "")))) {
+    const dt = decodeHtmlEntities(stripHtml(m[1]));
+    const dd = decodeHtmlEntities(stripHtml(m[2]));
+    if (dt && dd) out.push([dt, dd]);
+  }
+  return out;
+}
+
+// Headings IKEA uses above one-off opening hours ("Special opening hours", "Public holiday hours", ...)
+const SPECIAL_HOURS_HEADING_RE = /special|holiday|christmas|easter|festive|changed|public/i;
+
+/**
+ * One-off opening hours (public holidays etc.) from the store page: every <dl> that follows a heading
+ * matching SPECIAL_HOURS_HEADING_RE, with no other heading in between.
+ * Returns [{ date: "YYYY-MM-DD", label, closed, intervals: [{ open: "HH:MM", close: "HH:MM" }] }]; rows whose
+ * date or hours can't be read are dropped. Dates without a year are taken to be the next occurrence
+ * (up to a month in the past still counts as this year) relative to `today` (YYYY-MM-DD, store-local).
+ */
+export function parseSpecialHoursFromHtml(html, { today }) {
+  const sectionRe = /<h([2-4])[^>]*>([\s\S]*?)<\/h\1>((?:(?!<h[2-4][\s>])[\s\S])*?)<dl[^>]*>([\s\S]*?)<\/dl>/gi;
+  const byDate = new Map();
+  let m;
+  while ((m = sectionRe.exec(String(html || "")))) {
+    const heading = decodeHtmlEntities(stripHtml(m[2]));
+    if (!SPECIAL_HOURS_HEADING_RE.test(heading)) continue;
+    for (const [dt, dd] of parseDlPairs(m[4])) {
+      const d = parseSpecialDate(dt, today);
+      const spec = parseHoursSpec(dd);
+      if (!d || !spec) continue;
+      byDate.set(d.date, { date: d.date, label: d.label, closed: spec.length === 0, intervals: spec.map(intervalToHhmm) });
+    }
+  }
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+const MONTH_INDEX = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+const MONTH_RE = "(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?";
+
+/**
+ * "Christmas Day (Thu 25 December)" / "25 Dec 2026" / "December 25" / "25/12" / "2026-12-25"
+ *   -> { date: "2026-12-25", label: "Christmas Day" }
+ * Numeric dates are day-first (all supported markets write them that way). null if there's no date.
+ */
+export function parseSpecialDate(text, today) {
+  const t = String(text || "");
+  const patterns = [
+    [/\b(\d{4})-(\d{2})-(\d{2})\b/, (x) => [x[1], x[2], x[3]]],
+    [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_RE}(?:,?\\s+(\\d{4}))?`, "i"), (x) => [x[3], MONTH_INDEX[x[2].toLowerCase()], x[1]]],
+    [new RegExp(`\\b${MONTH_RE}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`, "i"), (x) => [x[3], MONTH_INDEX[x[1].toLowerCase()], x[2]]],
+    [/\b(\d{1,2})[/.](\d{1,2})(?:[/.](\d{4}|\d{2}))?\b/, (x) => [x[3], x[2], x[1]]]
+  ];
+
+  for (const [re, pick] of patterns) {
+    const m = t.match(re);
+    if (!m) continue;
+    let [y, mo, d] = pick(m).map((v) => (v === undefined ? null : Number(v)));
+    const [ty, tm, td] = String(today).split("-").map(Number);
+    if (y !== null && y < 100) y += 2000;
+    if (y === null) {
+      y = ty;
+      // A date more than a month behind today is next year's
+      if (Date.UTC(y, mo - 1, d) < Date.UTC(ty, tm - 1, td) - 31 * 86_400_000) y += 1;
+    }
+    const date = ymdOf(Date.UTC(y, mo - 1, d));
+    if (date !== `${y}-${pad2(mo)}-${pad2(d)}`) return null; // 31/02 etc.
+
+    // Drop the weekday written with the date, but not one that is part of the name ("Good Friday, 3 April")
+    const before = t.slice(0, m.index).replace(/(^|[([,–-]\s*)(sun|mon|tue|wed|thu|fri|sat)[a-z]*\.?,?\s*$/i, "$1");
+    const label = `${before} ${t.slice(m.index + m[0].length)}`
+      .replace(/[()[\],:–-]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+    return { date, label: label || null };
+  }
+  return null;
+}
+
+const DAY_INDEX = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WEEK_ORDER = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+// "Mon - Fri" / "Sat" / "Mon-Sun" -> [1,2,3,4,5] etc. Returns null if not understood.
+function parseDaySpec(text) {
+  const names = String(text || "").toLowerCase().match(/\b(sun|mon|tue|wed|thu|fri|sat)[a-z]*/g);
+  if (!names || !names.length) return null;
+  const idx = names.map((n) => DAY_INDEX[n.slice(0, 3)]);
+  if (idx.length === 2 && /[-–]/.test(text)) {
+    const out = [];
+    for (let d = idx[0]; ; d = (d + 1) % 7) {
+      out.push(d);
+      if (d === idx[1] || out.length > 7) break;
+    }
+    return out;
+  }
+  return idx;
+}
+
+// "10am" / "9.30pm" / "21:00" / "midnight" -> minutes since midnight
+function parseClockTime(text) {
+  const t = String(text || "").trim().toLowerCase();
+  if (t === "midnight") return 24 * 60;
+  if (t === "noon" || t === "midday") return 12 * 60;
+  const m = t.match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2] || 0);
+  if (m[3] === "pm" && h < 12) h += 12;
+  if (m[3] === "am" && h === 12) h = 0;
+  if (h > 24 || min > 59) return null;
+  return h * 60 + min;
+}
+
+/**
+ * "10am - 9pm" -> [{ open: 600, close: 1260 }]; "10am - 2pm, 3pm - 9pm" -> two intervals;
+ * "Closed" -> []; null if not understood.
+ */
+function parseHoursSpec(text) {
+  const t = String(text || "").trim();
+  if (/closed/i.test(t)) return [];
+  if (/24\s*hours/i.test(t)) return [{ open: 0, close: 24 * 60 }];
+  const out = [];
+  for (const range of t.split(/\s*(?:[,;&]|\band\b)\s*/i).filter(Boolean)) {
+    const parts = range.split(/\s*(?:[-–]|\bto\b)\s*/i);
+    if (parts.length !== 2) return null;
+    const open = parseClockTime(parts[0]);
+    const close = parseClockTime(parts[1]);
+    if (open === null || close === null || close <= open) return null;
+    out.push({ open, close });
+  }
+  return out.length ? out : null;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function minutesToHhmm(m) {
+  return `${pad2(Math.floor(m / 60))}:${pad2(m % 60)}`;
+}
+
+function hhmmToMinutes(s) {
+  const [h, m] = String(s).split(":").map(Number);
+  return h * 60 + m;
+}
+
+function intervalToHhmm(i) {
+  return { open: minutesToHhmm(i.open), close: minutesToHhmm(i.close) };
+}
+
+/**
+ * Scraped {days, hours} rows -> { mon: [{ open: "10:00", close: "21:00" }], ..., sun: [] }.
+ * [] means closed all day; null means the page doesn't say (or says it in a way we can't read).
+ */
+export function weeklyScheduleFromItems(hoursItems) {
+  const weekly = Object.fromEntries(WEEK_ORDER.map((d) => [d, null]));
+  for (const h of Array.isArray(hoursItems) ? hoursItems : []) {
+    const days = parseDaySpec(h?.days);
+    const spec = parseHoursSpec(h?.hours);
+    if (!days || !spec) continue;
+    for (const d of days) {
+      const name = DAY_NAMES[d];
+      weekly[name] = [...(weekly[name] || []), ...spec.map(intervalToHhmm)].sort((a, b) => a.open.localeCompare(b.open));
+    }
+  }
+  return weekly;
+}
+
+// ---- Wall-clock helpers for a store's IANA timezone ----
+
+function ymdOf(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function addDaysYmd(ymd, days) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return ymdOf(Date.UTC(y, m - 1, d + days));
+}
+
+function weekdayOfYmd(ymd) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+// Local date, weekday and minutes-since-midnight of `date` in timeZone
+export function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(date);
+  const get = (t) => Number(parts.find((p) => p.type === t)?.value ?? 0);
+  const ymd = `${get("year")}-${pad2(get("month"))}-${pad2(get("day"))}`;
+  return { ymd, day: weekdayOfYmd(ymd), minutes: get("hour") * 60 + get("minute") };
+}
+
+// UTC offset of timeZone at `date`, in minutes east of UTC
+function tzOffsetMinutes(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const [y, m, d] = p.ymd.split("-").map(Number);
+  const wall = Date.UTC(y, m - 1, d) + p.minutes * 60_000;
+  return Math.round((wall - Math.floor(date.getTime() / 60_000) * 60_000) / 60_000);
+}
+
+// The instant the wall clock in timeZone shows `minutes` past midnight on local date `ymd`
+function zonedInstant(ymd, minutes, timeZone) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const wall = Date.UTC(y, m - 1, d) + minutes * 60_000;
+  // Guess with the offset at the wall time, then correct once in case a DST change falls in between
+  let t = wall - tzOffsetMinutes(new Date(wall), timeZone) * 60_000;
+  t = wall - tzOffsetMinutes(new Date(t), timeZone) * 60_000;
+  return new Date(t);
+}
+
+// "2026-10-20T10:00:00+08:00": ISO 8601 with the store's local time and UTC offset
+export function toZonedIso(date, timeZone) {
+  const off = tzOffsetMinutes(date, timeZone);
+  const local = new Date(Math.floor(date.getTime() / 60_000) * 60_000 + off * 60_000).toISOString().slice(0, 19);
+  const a = Math.abs(off);
+  return `${local}${off < 0 ? "-" : "+"}${pad2(Math.floor(a / 60))}:${pad2(a % 60)}`;
+}
+
+// ---- Store schedule: { timeZone, weekly, special } ----
+
+// A day's opening intervals in minutes (special hours win over the weekly ones). intervals is [] when
+// closed all day and null when unknown.
+function dayIntervals(schedule, ymd) {
+  const special = (schedule?.special || []).find((s) => s.date === ymd) || null;
+  const list = special ? special.intervals : schedule?.weekly?.[DAY_NAMES[weekdayOfYmd(ymd)]];
+  if (!Array.isArray(list)) return { intervals: null, special };
+  return { intervals: list.map((i) => ({ open: hhmmToMinutes(i.open), close: hhmmToMinutes(i.close) })), special };
+}
+
+/**
+ * The store's days from `date` onwards, with concrete ISO opening/closing times:
+ *   [{ date, day, closed, special, intervals: [{ open, close }] }]
+ * closed is null (and intervals []) for days whose hours are unknown; special is the holiday label,
+ * true for an unlabelled special day, or null.
+ */
+export function scheduleDays(schedule, date = new Date(), count = 7) {
+  const tz = schedule.timeZone;
+  const start = zonedParts(date, tz).ymd;
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const ymd = addDaysYmd(start, i);
+    const { intervals, special } = dayIntervals(schedule, ymd);
+    out.push({
+      date: ymd,
+      day: DAY_NAMES[weekdayOfYmd(ymd)],
+      closed: intervals === null ? null : intervals.length === 0,
+      special: special ? special.label || true : null,
+      intervals: (intervals || []).map((iv) => ({
+        open: toZonedIso(zonedInstant(ymd, iv.open, tz), tz),
+        close: toZonedIso(zonedInstant(ymd, iv.close, tz), tz)
+      }))
+    });
+  }
+  return out;
+}
+
+/**
+ * Open/closed state of a schedule at `date`, and the next time that changes:
+ *   { open, nextChange: { type: "open" | "close", at } | null }
+ * open is null when today's hours are unknown (callers should then assume open); `at` is an ISO
+ * timestamp in the store's timezone. Looks up to 8 days ahead.
+ */
+export function scheduleStatus(schedule, date = new Date()) {
+  const tz = schedule?.timeZone;
+  if (!tz) return { open: null, nextChange: null };
+  const now = zonedParts(date, tz);
+  const today = dayIntervals(schedule, now.ymd).intervals;
+  if (today === null) return { open: null, nextChange: null };
+  const open = today.some((i) => now.minutes >= i.open && now.minutes < i.close);
+
+  // Transitions in time order; a close and an open at the same instant (e.g. midnight on a 24h
+  // schedule) cancel out. The day after the horizon is only there to cancel the last midnight.
+  const horizon = zonedInstant(addDaysYmd(now.ymd, 9), 0, tz).getTime();
+  const events = [];
+  for (let offset = 0; offset <= 9; offset++) {
+    const ymd = addDaysYmd(now.ymd, offset);
+    for (const i of dayIntervals(schedule, ymd).intervals || []) {
+      events.push({ type: "open", t: zonedInstant(ymd, i.open, tz).getTime() });
+      events.push({ type: "close", t: zonedInstant(ymd, i.close, tz).getTime() });
+    }
+  }
+  const want = open ? "close" : "open";
+  const next = events
+    .filter((e) => e.t > date.getTime() && e.t < horizon && e.type === want)
+    .sort((a, b) => a.t - b.t)
+    .find((e) => !events.some((o) => o.type !== want && o.t === e.t));
+  return { open, nextChange: next ? { type: want, at: toZonedIso(new Date(next.t), tz) } : null };
+}
@@ -0,0 +1,19 @@
+// ---- Plain text out of scraped HTML ----
+
+export function stripHtml(input) {
+  return (input ?? "").toString().replace(/<[^>]*>/g, "");
+}
+
+export function decodeHtmlEntities(s) {
+  return String(s || "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#039;/g, "'")
+    .replace(/&ndash;|&#8211;/g, "–")
+    .replace(/&mdash;|&#8212;/g, "—")
+    .replace(/\s+/g, " ")
+    .trim();
+}
@@ -0,0 +1,119 @@
+// ---- Prometheus metrics (text exposition format 0.0.4) ----
+// A small in-process registry: counters, gauges and histograms with labels, rendered on scrape.
+// Counters and gauges can take a collect() callback so values owned elsewhere (e.g. cache.stats())
+// are read at scrape time instead of being mirrored.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(v) {
+  return String(v ?? "").replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return Number.isFinite(v) ? String(v) : "NaN";
+}
+
+// Stable key for a label set, in the metric's label order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((n) => String(labels?.[n] ?? "")));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map((n) => [n, labels?.[n] ?? ""]));
+}
+
+/**
+ * Create a registry. Every metric name gets `prefix` prepended.
+ *   counter(name, help, labelNames, collect)    -> { inc(labels, n = 1) }
+ *   gauge(name, help, labelNames, collect)      -> { set(labels, v) }
+ *   histogram(name, help, labelNames, buckets)  -> { observe(labels, seconds) }
+ *   render()                                    -> exposition text
+ * collect(), when given, returns the current [{ labels, value }] at scrape time.
+ */
+export function createMetrics({ prefix = "" } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, labelNames, extra = {}) {
+    const m = { type, name: `${prefix}${name}`, help, labelNames, series: new Map(), ...extra };
+    metrics.push(m);
+    return m;
+  }
+
+  function series(m, labels, init) {
+    const key = seriesKey(m.labelNames, labels);
+    if (!m.series.has(key)) m.series.set(key, { labels: pickLabels(m.labelNames, labels), ...init() });
+    return m.series.get(key);
+  }
+
+  function renderMetric(m) {
+    const lines = [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`];
+
+    if (m.type === "histogram") {
+      for (const s of m.series.values()) {
+        m.buckets.forEach((le, i) => lines.push(`${m.name}_bucket${labelText({ ...s.labels, le: formatValue(le) })} ${s.counts[i]}`));
+        lines.push(`${m.name}_bucket${labelText({ ...s.labels, le: "+Inf" })} ${s.count}`);
+        lines.push(`${m.name}_sum${labelText(s.labels)} ${formatValue(s.sum)}`);
+        lines.push(`${m.name}_count${labelText(s.labels)} ${s.count}`);
+      }
+      return lines;
+    }
+
+    let values = [...m.series.values()];
+    if (m.collect) {
+      try {
+        values = (m.collect() || []).map((v) => ({ labels: pickLabels(m.labelNames, v.labels), value: Number(v.value) }));
+      } catch {
+        // a broken collector must not break the whole scrape
+        values = [];
+      }
+    }
+    for (const s of values) lines.push(`${m.name}${labelText(s.labels)} ${formatValue(s.value)}`);
+    return lines;
+  }
+
+  return {
+    counter(name, help, labelNames = [], collect = null) {
+      const m = register("counter", name, help, labelNames, { collect });
+      return {
+        inc(labels = {}, n = 1) {
+          series(m, labels, () => ({ value: 0 })).value += n;
+        }
+      };
+    },
+
+    gauge(name, help, labelNames = [], collect = null) {
+      const m = register("gauge", name, help, labelNames, { collect });
+      return {
+        set(labels = {}, v) {
+          series(m, labels, () => ({ value: 0 })).value = Number(v);
+        }
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const sorted = [...buckets].sort((a, b) => a - b);
+      const m = register("histogram", name, help, labelNames, { buckets: sorted });
+      return {
+        observe(labels = {}, v) {
+          const s = series(m, labels, () => ({ counts: sorted.map(() => 0), sum: 0, count: 0 }));
+          sorted.forEach((le, i) => {
+            if (v <= le) s.counts[i]++;
+          });
+          s.sum += v;
+          s.count++;
+        }
+      };
+    },
+
+    render() {
+      return `${metrics.flatMap(renderMetric).join("\n")}\n`;
+    }
+  };
+}
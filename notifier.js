@@ -0,0 +1,302 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+// ---- Alert delivery: generic JSON webhook, ntfy, Gotify and SMTP email ----
+// Channels come from two places:
+//  - environment variables (read-only, ids prefixed with "env-")
+//  - the API, persisted to DATA_DIR/channels.json
+// Every URL/host is configurable, so each channel can be pointed at a local stand-in server.
+
+const CHANNEL_TYPES = ["webhook", "ntfy", "gotify", "email"];
+const SECRET_KEYS = ["token", "pass", "password", "headers"];
+const MASK = "***";
+
+const DEFAULT_TITLE_TEMPLATE = "{{title}} @ IKEA {{storeName}}";
+const DEFAULT_BODY_TEMPLATE =
+  "{{message}}\nIn-store: {{storePrice}} • Online: {{onlinePrice}} • Qty: {{qty}}\n{{link}}";
+
+/**
+ * Replace {{name}} placeholders with values from ctx (missing values render as "—").
+ */
+export function renderTemplate(template, ctx) {
+  return String(template || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => {
+    const v = ctx?.[k];
+    return v === null || v === undefined || v === "" ? "—" : String(v);
+  });
+}
+
+function envChannels(env) {
+  const out = [];
+  if (env.NOTIFY_WEBHOOK_URL) {
+    out.push({ id: "env-webhook", type: "webhook", name: "Webhook (env)", config: { url: env.NOTIFY_WEBHOOK_URL } });
+  }
+  if (env.NOTIFY_NTFY_URL) {
+    out.push({
+      id: "env-ntfy",
+      type: "ntfy",
+      name: "ntfy (env)",
+      config: { url: env.NOTIFY_NTFY_URL, token: env.NOTIFY_NTFY_TOKEN || null }
+    });
+  }
+  if (env.NOTIFY_GOTIFY_URL) {
+    out.push({
+      id: "env-gotify",
+      type: "gotify",
+      name: "Gotify (env)",
+      config: { url: env.NOTIFY_GOTIFY_URL, token: env.NOTIFY_GOTIFY_TOKEN || null }
+    });
+  }
+  if (env.SMTP_HOST && env.NOTIFY_EMAIL_TO) {
+    out.push({
+      id: "env-email",
+      type: "email",
+      name: "Email (env)",
+      config: {
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT || 587),
+        secure: String(env.SMTP_SECURE || "") === "1" || String(env.SMTP_SECURE || "").toLowerCase() === "true",
+        user: env.SMTP_USER || null,
+        pass: env.SMTP_PASS || null,
+        from: env.NOTIFY_EMAIL_FROM || env.SMTP_USER || "ikea-lookup@localhost",
+        to: env.NOTIFY_EMAIL_TO
+      }
+    });
+  }
+  return out.map((c) => ({ ...c, enabled: true, readOnly: true, template: null }));
+}
+
+function validateChannel(type, config) {
+  if (!CHANNEL_TYPES.includes(type)) return `type must be one of: ${CHANNEL_TYPES.join(", ")}`;
+  if (type === "email") {
+    if (!config.host) return "email channel needs config.host";
+    if (!config.to) return "email channel needs config.to";
+    return null;
+  }
+  try {
+    const u = new URL(String(config.url || ""));
+    if (!/^https?:$/.test(u.protocol)) return "config.url must be http(s)";
+  } catch {
+    return `${type} channel needs a valid config.url`;
+  }
+  return null;
+}
+
+// Hide tokens/passwords when channels are listed over the API
+function maskChannel(c) {
+  const config = { ...c.config };
+  for (const k of SECRET_KEYS) {
+    if (config[k]) config[k] = MASK;
+  }
+  return { ...c, config };
+}
+
+// Apply a config patch; a secret sent back masked (as list() returns it) keeps the stored value
+function mergeConfig(current, patch) {
+  const config = { ...current };
+  for (const [k, v] of Object.entries(patch)) {
+    if (SECRET_KEYS.includes(k) && v === MASK) continue;
+    config[k] = v;
+  }
+  return config;
+}
+
+async function postWithTimeout(url, init, timeoutMs) {
+  const res = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+  if (!res.ok) {
+    const txt = await res.text().catch(() => "");
+    throw new Error(`HTTP ${res.status} from ${url}: ${txt.slice(0, 200)}`);
+  }
+  return res.status;
+}
+
+const senders = {
+  async webhook(channel, msg, { timeoutMs }) {
+    return postWithTimeout(
+      channel.config.url,
+      {
+        method: "POST",
+        headers: { "content-type": "application/json", ...(channel.config.headers || {}) },
+        body: JSON.stringify({ title: msg.title, message: msg.body, link: msg.link, event: msg.event, context: msg.ctx })
+      },
+      timeoutMs
+    );
+  },
+
+  // ntfy: POST the body to https://ntfy.sh/<topic>, metadata in headers
+  async ntfy(channel, msg, { timeoutMs }) {
+    const headers = { "content-type": "text/plain; charset=utf-8", title: encodeHeader(msg.title), tags: "shopping_cart" };
+    if (msg.link) headers.click = msg.link;
+    if (channel.config.priority) headers.priority = String(channel.config.priority);
+    if (channel.config.token) headers.authorization = `Bearer ${channel.config.token}`;
+    return postWithTimeout(channel.config.url, { method: "POST", headers, body: msg.body }, timeoutMs);
+  },
+
+  // Gotify: POST <server>/message with an app token
+  async gotify(channel, msg, { timeoutMs }) {
+    const base = String(channel.config.url).replace(/\/+$/, "");
+    const url = /\/message$/.test(base) ? base : `${base}/message`;
+    const headers = { "content-type": "application/json" };
+    if (channel.config.token) headers["x-gotify-key"] = channel.config.token;
+    return postWithTimeout(
+      url,
+      {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          title: msg.title,
+          message: msg.body,
+          priority: Number(channel.config.priority ?? 5),
+          extras: msg.link ? { "client::notification": { click: { url: msg.link } } } : undefined
+        })
+      },
+      timeoutMs
+    );
+  },
+
+  async email(channel, msg, { timeoutMs }) {
+    const c = channel.config;
+    const transport = nodemailer.createTransport({
+      host: c.host,
+      port: Number(c.port || 587),
+      secure: Boolean(c.secure),
+      auth: c.user ? { user: c.user, pass: c.pass || "" } : undefined,
+      connectionTimeout: timeoutMs,
+      greetingTimeout: timeoutMs,
+      socketTimeout: timeoutMs
+    });
+    const info = await transport.sendMail({ from: c.from || "ikea-lookup@localhost", to: c.to, subject: msg.title, text: msg.body });
+    return info?.messageId ?? "sent";
+  }
+};
+
+// HTTP header values must be latin-1; ntfy accepts RFC 2047 for anything else
+function encodeHeader(s) {
+  const str = String(s || "");
+  return /^[\x20-\x7e]*$/.test(str) ? str : `=?UTF-8?B?${Buffer.from(str, "utf8").toString("base64")}?=`;
+}
+
+/**
+ * Create the notifier.
+ *   dataDir       where channels.json is stored
+ *   env           process.env (channel + template settings)
+ *   timeoutMs     per-delivery timeout
+ */
+export function createNotifier({ dataDir, env = process.env, timeoutMs = 10_000 }) {
+  const file = path.join(dataDir, "channels.json");
+  const fromEnv = envChannels(env);
+  const titleTemplate = env.NOTIFY_TITLE_TEMPLATE || DEFAULT_TITLE_TEMPLATE;
+  const bodyTemplate = env.NOTIFY_BODY_TEMPLATE || DEFAULT_BODY_TEMPLATE;
+
+  let stored = [];
+  try {
+    if (fs.existsSync(file)) {
+      const arr = JSON.parse(fs.readFileSync(file, "utf8"));
+      stored = Array.isArray(arr) ? arr : [];
+    }
+  } catch {
+    stored = [];
+  }
+
+  function save() {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(stored, null, 2), "utf8");
+    fs.renameSync(tmp, file);
+  }
+
+  function all() {
+    return [...fromEnv, ...stored];
+  }
+
+  function get(id) {
+    return all().find((c) => c.id === String(id)) || null;
+  }
+
+  function buildMessage(channel, event, ctx) {
+    const vars = { ...ctx, message: event?.message ?? ctx?.message ?? "" };
+    return {
+      title: renderTemplate(channel.template?.title || titleTemplate, vars),
+      body: renderTemplate(channel.template?.body || bodyTemplate, vars),
+      link: ctx?.link ?? null,
+      event,
+      ctx
+    };
+  }
+
+  async function deliver(channel, event, ctx) {
+    const started = Date.now();
+    try {
+      const result = await senders[channel.type](channel, buildMessage(channel, event, ctx), { timeoutMs });
+      return { channel: channel.id, ok: true, result, ms: Date.now() - started };
+    } catch (e) {
+      return { channel: channel.id, ok: false, error: e?.message || String(e), ms: Date.now() - started };
+    }
+  }
+
+  return {
+    list() {
+      return all().map(maskChannel);
+    },
+
+    add(body) {
+      const b = body && typeof body === "object" ? body : {};
+      const type = String(b.type || "");
+      const config = b.config && typeof b.config === "object" ? b.config : {};
+      const error = validateChannel(type, config);
+      if (error) return { error };
+
+      const channel = {
+        id: crypto.randomUUID(),
+        type,
+        name: b.name ? String(b.name).slice(0, 100) : type,
+        enabled: b.enabled === undefined ? true : Boolean(b.enabled),
+        config,
+        template: b.template && typeof b.template === "object" ? { title: b.template.title ?? null, body: b.template.body ?? null } : null
+      };
+      stored.push(channel);
+      save();
+      return { channel: maskChannel(channel) };
+    },
+
+    update(id, body) {
+      const channel = stored.find((c) => c.id === String(id));
+      if (!channel) return { error: get(id) ? "Channels from environment variables are read-only" : "Channel not found", notFound: !get(id) };
+
+      const b = body && typeof body === "object" ? body : {};
+      const config = b.config && typeof b.config === "object" ? mergeConfig(channel.config, b.config) : channel.config;
+      const error = validateChannel(channel.type, config);
+      if (error) return { error };
+
+      channel.config = config;
+      if (b.name !== undefined) channel.name = String(b.name).slice(0, 100);
+      if (b.enabled !== undefined) channel.enabled = Boolean(b.enabled);
+      if (b.template !== undefined) channel.template = b.template && typeof b.template === "object" ? { title: b.template.title ?? null, body: b.template.body ?? null } : null;
+      save();
+      return { channel: maskChannel(channel) };
+    },
+
+    remove(id) {
+      const before = stored.length;
+      stored = stored.filter((c) => c.id !== String(id));
+      if (stored.length === before) return false;
+      save();
+      return true;
+    },
+
+    /**
+     * Send one alert to every enabled channel. Never throws; returns per-channel results.
+     */
+    async dispatch(event, ctx) {
+      const channels = all().filter((c) => c.enabled);
+      return Promise.all(channels.map((c) => deliver(c, event, ctx)));
+    },
+
+    // Send a sample message through one channel
+    async test(id, ctx) {
+      const channel = get(id);
+      if (!channel) return null;
+      return deliver(channel, { type: "test", message: "Test notification from IKEA lookup" }, ctx);
+    }
+  };
+}
@@ -0,0 +1,305 @@
+// ---- Versioned lookup API (v1) and its OpenAPI document ----
+// /api/lookup returns whatever lookupMerged() builds and may grow/change. /api/v1/lookup returns an
+// explicit projection of it (toLookupV1), so the v1 fields only change together with LOOKUP_V1_SCHEMA.
+// Every documented property is always present; unknown values are null.
+
+export const LOOKUP_V1_VERSION = "1";
+
+const v = (x) => (x === undefined ? null : x);
+
+function restockV1(r) {
+  return {
+    earliestDate: v(r?.earliestDate),
+    latestDate: v(r?.latestDate),
+    quantity: v(r?.quantity),
+    reliability: v(r?.reliability),
+    type: v(r?.type),
+    updateDateTime: v(r?.updateDateTime)
+  };
+}
+
+function buyingOptionV1(o) {
+  if (!o) return null;
+  return {
+    inRange: v(o.inRange),
+    messageType: v(o.messageType),
+    quantity: v(o.quantity),
+    restocks: Array.isArray(o.restocks) ? o.restocks.map(restockV1) : [],
+    primaryRestock: o.primaryRestock ? restockV1(o.primaryRestock) : null,
+    reason: o.reason ? { code: v(o.reason.code), name: v(o.reason.name) } : null
+  };
+}
+
+function classUnitV1(u) {
+  if (!u) return null;
+  const b = u.buyingOption;
+  return {
+    code: v(u.code),
+    name: v(u.name),
+    buyingOption: b
+      ? { cashCarry: buyingOptionV1(b.cashCarry), clickCollect: buyingOptionV1(b.clickCollect), homeDelivery: buyingOptionV1(b.homeDelivery) }
+      : null
+  };
+}
+
+function computedOptionV1(c) {
+  if (!c) return null;
+  return {
+    available: Boolean(c.available),
+    status: v(c.status),
+    reasonCode: v(c.reasonCode),
+    quantity: v(c.quantity),
+    primaryRestock: c.primaryRestock ? restockV1(c.primaryRestock) : null
+  };
+}
+
+function sourceV1(s) {
+  return { ok: Boolean(s?.ok), error: v(s?.error), status: v(s?.status) };
+}
+
+/**
+ * Project a lookupMerged() result onto the v1 response shape.
+ */
+export function toLookupV1(r) {
+  const c = r?.cia?.computed;
+  return {
+    apiVersion: LOOKUP_V1_VERSION,
+    article: String(r.article),
+    market: String(r.market),
+    lang: String(r.lang),
+    store: String(r.store),
+    currency: v(r.currency),
+    storeClosed: Boolean(r.storeClosed),
+    partial: Boolean(r.partial),
+    product: {
+      title: v(r.product?.title),
+      description: v(r.product?.description),
+      productUrl: v(r.product?.productUrl),
+      imageUrl: v(r.product?.imageUrl),
+      imageUrls: Array.isArray(r.product?.imageUrls) ? r.product.imageUrls : []
+    },
+    prices: {
+      online: { raw: v(r.prices?.online?.raw), text: v(r.prices?.online?.text) },
+      store: { raw: v(r.prices?.store?.raw), text: v(r.prices?.store?.text) }
+    },
+    stock: {
+      qty: v(r.stock?.qty),
+      status: v(r.stock?.status),
+      descriptionText: v(r.stock?.descriptionText)
+    },
+    location: {
+      division: v(r.location?.division),
+      floor: v(r.location?.floor),
+      department: v(r.location?.department),
+      code: v(r.location?.code),
+      itemLocationText: v(r.location?.itemLocationTextText)
+    },
+    cia: {
+      ok: Boolean(r.cia?.ok),
+      error: v(r.cia?.error),
+      store: classUnitV1(r.cia?.store),
+      ru: classUnitV1(r.cia?.ru),
+      computed: c
+        ? { inStore: computedOptionV1(c.inStore), clickCollect: computedOptionV1(c.clickCollect), homeDelivery: computedOptionV1(c.homeDelivery) }
+        : null
+    },
+    sources: {
+      productDetails: sourceV1(r.sources?.productDetails),
+      scanShop: sourceV1(r.sources?.scanShop),
+      availability: sourceV1(r.sources?.availability),
+      cia: sourceV1(r.sources?.cia)
+    }
+  };
+}
+
+// ---- Schemas (OpenAPI 3.0) ----
+
+const str = { type: "string", nullable: true };
+const num = { type: "number", nullable: true };
+const int = { type: "integer", nullable: true };
+const bool = { type: "boolean", nullable: true };
+const ref = (name, nullable = false) => (nullable ? { nullable: true, allOf: [{ $ref: `#/components/schemas/${name}` }] } : { $ref: `#/components/schemas/${name}` });
+
+function obj(properties, { nullable = false, description } = {}) {
+  return {
+    type: "object",
+    ...(description ? { description } : {}),
+    ...(nullable ? { nullable: true } : {}),
+    required: Object.keys(properties),
+    properties
+  };
+}
+
+const money = obj({
+  raw: { ...num, description: "Price including tax, as a number" },
+  text: { ...str, description: "Price as IKEA formats it, e.g. \"$89\"" }
+});
+
+export const LOOKUP_V1_SCHEMA = {
+  Restock: obj({
+    earliestDate: { ...str, format: "date" },
+    latestDate: { ...str, format: "date" },
+    quantity: int,
+    reliability: str,
+    type: str,
+    updateDateTime: { ...str, format: "date-time" }
+  }),
+  CiaBuyingOption: obj({
+    inRange: { ...bool, description: "Whether this fulfilment method offers the item" },
+    messageType: { ...str, example: "HIGH_IN_STOCK" },
+    quantity: int,
+    restocks: { type: "array", items: ref("Restock") },
+    primaryRestock: ref("Restock", true),
+    reason: obj({ code: { ...str, example: "NOT_IN_RANGE" }, name: str }, { nullable: true })
+  }),
+  CiaClassUnit: obj(
+    {
+      code: str,
+      name: str,
+      buyingOption: obj(
+        {
+          cashCarry: ref("CiaBuyingOption", true),
+          clickCollect: ref("CiaBuyingOption", true),
+          homeDelivery: ref("CiaBuyingOption", true)
+        },
+        { nullable: true }
+      )
+    },
+    { description: "A store (STO) or the whole market (RU)" }
+  ),
+  CiaComputedOption: obj({
+    available: { type: "boolean" },
+    status: { ...str, description: "messageType when available, otherwise UNAVAILABLE" },
+    reasonCode: str,
+    quantity: int,
+    primaryRestock: ref("Restock", true)
+  }),
+  SourceStatus: obj({
+    ok: { type: "boolean" },
+    error: str,
+    status: { ...int, description: "Upstream HTTP status, when there was one" }
+  }),
+  LookupV1: obj({
+    apiVersion: { type: "string", enum: [LOOKUP_V1_VERSION] },
+    article: { type: "string", pattern: "^\\d{8}$" },
+    market: { type: "string", example: "au" },
+    lang: { type: "string", example: "en" },
+    store: { type: "string", example: "556" },
+    currency: { ...str, example: "AUD" },
+    storeClosed: { type: "boolean", description: "scan-shop answered STORE_CLOSED (in-store fields may be null)" },
+    partial: { type: "boolean", description: "At least one upstream source failed; its fields are null (see sources)" },
+    product: obj({
+      title: str,
+      description: str,
+      productUrl: str,
+      imageUrl: str,
+      imageUrls: { type: "array", items: { type: "string" } }
+    }),
+    prices: obj({ online: money, store: money }),
+    stock: obj({
+      qty: { ...int, description: "In-store quantity" },
+      status: { ...str, example: "HIGH_IN_STOCK" },
+      descriptionText: str
+    }),
+    location: obj({
+      division: { ...str, example: "MARKET_HALL" },
+      floor: str,
+      department: str,
+      code: { ...str, description: "Location code from the item location text, else the department id" },
+      itemLocationText: { ...str, description: "Plain-text item location as IKEA shows it" }
+    }),
+    cia: obj({
+      ok: { type: "boolean" },
+      error: str,
+      store: ref("CiaClassUnit", true),
+      ru: ref("CiaClassUnit", true),
+      computed: obj(
+        {
+          inStore: ref("CiaComputedOption", true),
+          clickCollect: ref("CiaComputedOption", true),
+          homeDelivery: ref("CiaComputedOption", true)
+        },
+        { nullable: true }
+      )
+    }),
+    sources: obj({
+      productDetails: ref("SourceStatus"),
+      scanShop: ref("SourceStatus"),
+      availability: ref("SourceStatus"),
+      cia: ref("SourceStatus")
+    })
+  }),
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: { type: "string" },
+      upstream: {
+        ...obj({
+          code: { type: "string", enum: ["HTTP_ERROR", "TIMEOUT", "NETWORK", "BAD_RESPONSE"] },
+          status: int,
+          url: str,
+          bodyExcerpt: str,
+          message: { type: "string" }
+        }),
+        description: "Present when the failure came from an IKEA endpoint"
+      }
+    }
+  }
+};
+
+const lookupParams = [
+  { name: "article", in: "query", required: true, schema: { type: "string" }, description: "8-digit article number (dots allowed)", example: "40492331" },
+  { name: "store", in: "query", required: false, schema: { type: "string" }, description: "Store id (buCode); defaults to DEFAULT_STORE", example: "556" },
+  { name: "market", in: "query", required: false, schema: { type: "string", enum: ["au", "nz", "gb"] }, example: "au" },
+  { name: "lang", in: "query", required: false, schema: { type: "string" }, example: "en" }
+];
+
+const errorResponse = (description) => ({ description, content: { "application/json": { schema: ref("Error") } } });
+
+/**
+ * The OpenAPI document served at /api/openapi.json.
+ */
+export function openapiDocument({ version = "1.0.0" } = {}) {
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "IKEA Lookup API",
+      version,
+      description:
+        "Merged IKEA product, in-store price, stock and location lookup. /api/v1/* responses are stable; " +
+        "fields are only added or changed in a new API version."
+    },
+    paths: {
+      "/api/v1/lookup": {
+        get: {
+          summary: "Look up one article at one store (v1)",
+          operationId: "lookupV1",
+          parameters: lookupParams,
+          responses: {
+            200: { description: "Lookup result (may be partial)", content: { "application/json": { schema: ref("LookupV1") } } },
+            400: errorResponse("Missing or invalid article"),
+            500: errorResponse("Unexpected error"),
+            502: errorResponse("IKEA endpoints failed"),
+            504: errorResponse("IKEA endpoints timed out")
+          }
+        }
+      },
+      "/api/lookup": {
+        get: {
+          summary: "Look up one article at one store (unversioned)",
+          description: "Superset of the v1 response that follows the server's internal shape and may change without notice. Scripts should use /api/v1/lookup.",
+          operationId: "lookup",
+          parameters: lookupParams,
+          responses: {
+            200: { description: "Lookup result", content: { "application/json": { schema: { type: "object" } } } },
+            400: errorResponse("Missing or invalid article"),
+            502: errorResponse("IKEA endpoints failed"),
+            504: errorResponse("IKEA endpoints timed out")
+          }
+        }
+      }
+    },
+    components: { schemas: LOOKUP_V1_SCHEMA }
+  };
+}
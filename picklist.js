@@ -0,0 +1,255 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// ---- Shopping lists and pick lists ----
+// A shopping list is one store plus articles with the quantity wanted, persisted to DATA_DIR/lists.json.
+// A pick list is built from fresh lookups of every item (see /api/lists/:id/picklist in server.js):
+// grouped by division and department and ordered roughly the way you walk an IKEA store — showroom,
+// market hall, the self-serve aisles by aisle/bin number, then full-serve and collection points.
+
+const MAX_ITEMS = 200;
+const MAX_QTY = 999;
+
+// ---- Item location text (scan-shop itemLocation) ----
+// The pickup area, aisle and bin are only in IKEA's free text, e.g. "Self serve Aisle 23 Location 14"
+// (HTML stripped). The formats handled, with what they parse to, are the table in test/picklist.test.js.
+// With no area in the text it falls back to the division.
+const PICKUP_AREA_PATTERNS = [
+  ["SELF_SERVE", /self[\s-]*serv/i],
+  ["FULL_SERVE", /full[\s-]*serv|ask (?:a|our|the) (?:co-?worker|staff)|contact (?:a )?co-?worker/i],
+  ["WAREHOUSE_COLLECT", /warehouse|pick[\s-]*up|collection point|collect from/i],
+  ["SHOWROOM", /show[\s-]*room/i],
+  ["MARKET_HALL", /market[\s-]*hall/i]
+];
+
+const DIVISION_PICKUP_AREAS = [
+  ["SELF_SERVE", /SELF/],
+  ["FULL_SERVE", /FULL/],
+  ["WAREHOUSE_COLLECT", /WAREHOUSE|COLLECT|PICK/],
+  ["SHOWROOM", /SHOW/],
+  ["MARKET_HALL", /MARKET/]
+];
+
+/**
+ * { pickupArea, aisle, bin } from a plain-text item location. pickupArea is SELF_SERVE | FULL_SERVE |
+ * WAREHOUSE_COLLECT | SHOWROOM | MARKET_HALL; aisle and bin are numbers. Anything not found is null.
+ */
+export function parseItemLocation(text, division = null) {
+  const s = String(text || "");
+  const aisle = s.match(/\baisle\s*:?\s*(\d{1,3})\b/i);
+  const bin = s.match(/\b(?:location|loc\.|bin)\s*:?\s*(\d{1,3})\b/i);
+
+  let pickupArea = PICKUP_AREA_PATTERNS.find(([, re]) => re.test(s))?.[0] ?? null;
+  if (!pickupArea && aisle) pickupArea = "SELF_SERVE";
+  if (!pickupArea && division) {
+    pickupArea = DIVISION_PICKUP_AREAS.find(([, re]) => re.test(String(division).toUpperCase()))?.[0] ?? null;
+  }
+
+  return { pickupArea, aisle: aisle ? Number(aisle[1]) : null, bin: bin ? Number(bin[1]) : null };
+}
+
+// Walking order of the store areas; anything unrecognised goes last but before "unknown"
+const DIVISION_ORDER = [
+  { rank: 0, re: /SHOW/ },
+  { rank: 1, re: /MARKET/ },
+  { rank: 2, re: /SELF/ },
+  { rank: 3, re: /FULL|WAREHOUSE|COLLECT|PICK/ }
+];
+const OTHER_RANK = 4;
+const UNKNOWN_RANK = 5;
+
+/**
+ * Position of an entry in walking order, from its pickupArea (see parseItemLocation) or
+ * else its division. Entries with a self-serve aisle but neither count as self-serve.
+ */
+export function divisionRank({ pickupArea = null, division = null, aisle = null } = {}) {
+  const d = String(pickupArea || division || "").toUpperCase();
+  if (!d) return aisle !== null ? 2 : UNKNOWN_RANK;
+  return DIVISION_ORDER.find((o) => o.re.test(d))?.rank ?? OTHER_RANK;
+}
+
+// Ascending, with missing values last
+const byNumber = (a, b) => (a ?? Infinity) - (b ?? Infinity);
+const missing = (v) => v === null || v === undefined || v === "";
+const byText = (a, b) => missing(a) - missing(b) || String(a ?? "").localeCompare(String(b ?? ""), undefined, { numeric: true });
+
+function compareEntries(a, b) {
+  return byNumber(a.aisle, b.aisle) || byNumber(a.bin, b.bin) || byText(a.code, b.code) || byText(a.title, b.title) || byText(a.article, b.article);
+}
+
+/**
+ * Group pick-list entries ({ article, title, division, floor, department, code, pickupArea, aisle, bin, ... }) by division
+ * and department, in walking order: division rank, then the group's first aisle/bin, then department name.
+ * Returns [{ division, floor, department, rank, items }]; every entry also gets `rank`.
+ */
+export function buildPickList(entries) {
+  const groups = new Map();
+  for (const e of entries) {
+    const rank = divisionRank(e);
+    const key = `${rank}|${e.division ?? ""}|${e.department ?? ""}`;
+    if (!groups.has(key)) groups.set(key, { division: e.division ?? null, floor: e.floor ?? null, department: e.department ?? null, rank, items: [] });
+    groups.get(key).items.push({ ...e, rank });
+  }
+
+  const out = [...groups.values()];
+  for (const g of out) g.items.sort(compareEntries);
+  out.sort((a, b) => a.rank - b.rank || compareEntries(a.items[0], b.items[0]) || byText(a.department, b.department));
+  return out;
+}
+
+function normArticle(a) {
+  return String(a ?? "").replace(/[^0-9]/g, "");
+}
+
+function parseItems(items) {
+  if (!Array.isArray(items)) return { error: "items must be an array of { article, qty }" };
+  const merged = new Map();
+  for (const it of items) {
+    const article = normArticle(typeof it === "object" && it !== null ? it.article : it);
+    if (article.length !== 8) return { error: `Invalid article: ${JSON.stringify(it?.article ?? it)}` };
+    const qty = parseQty(typeof it === "object" && it !== null ? it.qty : 1);
+    if (qty === null) return { error: `qty must be a whole number from 1 to ${MAX_QTY}` };
+    merged.set(article, Math.min(MAX_QTY, (merged.get(article) ?? 0) + qty));
+  }
+  if (merged.size > MAX_ITEMS) return { error: `Too many items (${merged.size}). Max ${MAX_ITEMS} per list.` };
+  return { value: [...merged].map(([article, qty]) => ({ article, qty })) };
+}
+
+function parseQty(v) {
+  const n = v === undefined || v === null || v === "" ? 1 : Number(v);
+  return Number.isInteger(n) && n >= 1 && n <= MAX_QTY ? n : null;
+}
+
+/**
+ * Shopping-list store.
+ *   dataDir        lists are saved to dataDir/lists.json
+ *   markets        supported market codes
+ *   defaultStore   store id used when a list doesn't name one
+ *   defaultMarket  market used when a list doesn't name one
+ * Mutating calls return { list } or { error, notFound }.
+ */
+export function createShoppingLists({ dataDir, markets = [], defaultStore, defaultMarket }) {
+  const file = path.join(dataDir, "lists.json");
+
+  let lists = [];
+  try {
+    if (fs.existsSync(file)) {
+      const arr = JSON.parse(fs.readFileSync(file, "utf8"));
+      lists = Array.isArray(arr) ? arr.filter((l) => l && l.id && Array.isArray(l.items)) : [];
+    }
+  } catch {
+    lists = [];
+  }
+
+  function save() {
+    try {
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(lists, null, 2), "utf8");
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error(`Failed to save shopping lists: ${e?.message || e}`);
+    }
+  }
+
+  function find(id) {
+    return lists.find((l) => l.id === String(id)) || null;
+  }
+
+  // Validate + normalise a create/update body; only supplied fields are returned
+  function parseInput(body, { partial = false } = {}) {
+    const b = body && typeof body === "object" ? body : {};
+    const value = {};
+
+    if (b.name !== undefined || !partial) value.name = b.name ? String(b.name).slice(0, 100) : "Shopping list";
+    if (b.store !== undefined || !partial) {
+      const store = String(b.store ?? defaultStore).trim();
+      if (!/^\d+$/.test(store)) return { error: "store must be a numeric store id" };
+      value.store = store;
+    }
+    if (b.market !== undefined || !partial) {
+      const market = String(b.market || defaultMarket).toLowerCase();
+      if (markets.length && !markets.includes(market)) return { error: `Unsupported market "${market}". Use one of: ${markets.join(", ")}` };
+      value.market = market;
+    }
+    if (b.lang !== undefined || !partial) value.lang = String(b.lang || "en").toLowerCase();
+    if (b.items !== undefined || !partial) {
+      const items = parseItems(b.items ?? []);
+      if (items.error) return items;
+      value.items = items.value;
+    }
+    return { value };
+  }
+
+  function touch(list) {
+    list.updatedAt = Date.now();
+    save();
+    return { list };
+  }
+
+  return {
+    list() {
+      return lists;
+    },
+
+    get(id) {
+      return find(id);
+    },
+
+    add(body) {
+      const { error, value } = parseInput(body);
+      if (error) return { error };
+      const now = Date.now();
+      const list = { id: crypto.randomUUID(), ...value, createdAt: now, updatedAt: now };
+      lists.push(list);
+      save();
+      return { list };
+    },
+
+    update(id, body) {
+      const list = find(id);
+      if (!list) return { error: "List not found", notFound: true };
+      const { error, value } = parseInput(body, { partial: true });
+      if (error) return { error };
+      Object.assign(list, value);
+      return touch(list);
+    },
+
+    remove(id) {
+      const before = lists.length;
+      lists = lists.filter((l) => l.id !== String(id));
+      if (lists.length === before) return false;
+      save();
+      return true;
+    },
+
+    // Add qty of an article (adds to the quantity already on the list)
+    addItem(id, body) {
+      const list = find(id);
+      if (!list) return { error: "List not found", notFound: true };
+      const items = parseItems([...list.items, body && typeof body === "object" ? body : { article: body }]);
+      if (items.error) return items;
+      list.items = items.value;
+      return touch(list);
+    },
+
+    // Set the quantity of an article already on the list
+    setItemQty(id, article, qty) {
+      const list = find(id);
+      const item = list?.items.find((i) => i.article === normArticle(article)) ?? null;
+      if (!item) return { error: list ? "Item not found" : "List not found", notFound: true };
+      const n = parseQty(qty);
+      if (n === null) return { error: `qty must be a whole number from 1 to ${MAX_QTY}` };
+      item.qty = n;
+      return touch(list);
+    },
+
+    removeItem(id, article) {
+      const list = find(id);
+      const before = list?.items.length ?? 0;
+      if (list) list.items = list.items.filter((i) => i.article !== normArticle(article));
+      if (!list || list.items.length === before) return { error: list ? "Item not found" : "List not found", notFound: true };
+      return touch(list);
+    }
+  };
+}
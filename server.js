@@ -2,9 +2,20 @@ import express from "express";
 import { createRequire } from "module";
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
+import { createNotifier } from "./notifier.js";
+import { createCache } from "./cache.js";
+import { createUpstreamClient, errorBody, errorStatus, UpstreamError } from "./upstream.js";
+import { openapiDocument, toLookupV1 } from "./openapi.js";
+import { distanceKm, postcodeCentroid } from "./geo.js";
+import { buildPickList, createShoppingLists, parseItemLocation } from "./picklist.js";
+import { csvLookupRows, parseCsv, toCsv } from "./csv.js";
+import { createMetrics } from "./metrics.js";
+import { decodeHtmlEntities, stripHtml } from "./html.js";
+import { parseSpecialHoursFromHtml, parseStoreHoursFromHtml, scheduleDays, scheduleStatus, toZonedIso, weeklyScheduleFromItems, zonedParts } from "./hours.js";
 
 // Optional: used to source the official store list (400+ stores worldwide)
-// We only use it for Australia dropdown options.
+// for the store dropdown of each supported market.
 const require = createRequire(import.meta.url);
 let ikeaChecker = null;
 try {
@@ -15,12 +26,27 @@ try {
 }
 
 const app = express();
+const APP_VERSION = require("./package.json").version;
 const PORT = Number(process.env.PORT || 8080);
 const DEFAULT_STORE = String(process.env.DEFAULT_STORE || "556");
 
 // Ingka API client-id used by ikea-availability-checker (can be overridden)
 const INGKA_CLIENT_ID = String(process.env.INGKA_CLIENT_ID || "da465052-7912-43b2-82fa-9dc39cdccef8");
 
+// ---- Supported markets ----
+// ruCode is the Ingka CIA retail unit, currency/locale drive price formatting (server and UI),
+// timeZone is the default for store hours, langs feed the UI language dropdown (first one is the default).
+const MARKETS = {
+  au: { code: "au", ruCode: "AU", name: "Australia", currency: "AUD", locale: "en-AU", timeZone: "Australia/Sydney", langs: ["en"], taxLabel: "GST" },
+  nz: { code: "nz", ruCode: "NZ", name: "New Zealand", currency: "NZD", locale: "en-NZ", timeZone: "Pacific/Auckland", langs: ["en"], taxLabel: "GST" },
+  gb: { code: "gb", ruCode: "GB", name: "United Kingdom", currency: "GBP", locale: "en-GB", timeZone: "Europe/London", langs: ["en"], taxLabel: "VAT" }
+};
+const DEFAULT_MARKET = "au";
+
+function marketConfig(market) {
+  return MARKETS[String(market || "").toLowerCase()] ?? MARKETS[DEFAULT_MARKET];
+}
+
 // ---- Changedetection.io anti-spam controls (for /:store/:article) ----
 // When scan-shop is STORE_CLOSED (end-of-day or early closure), Changedetection's "Restock & Price"
 // processor can interpret missing in-store price/qty as a real change.
@@ -33,30 +59,44 @@ const INGKA_CLIENT_ID = String(process.env.INGKA_CLIENT_ID || "da465052-7912-43b
 const DATA_DIR = String(process.env.DATA_DIR || "/app/data");
 const CD_STORE_CLOSED_BEHAVIOR = String(process.env.CD_STORE_CLOSED_BEHAVIOR || "freeze").toLowerCase(); // freeze|503|404
 const CD_STALE_MAX_AGE_MS = Number(process.env.CD_STALE_MAX_AGE_MS || 7 * 24 * 60 * 60 * 1000); // 7 days
+// Also treat the store as closed outside its published trading hours, even if scan-shop still answers
+const CD_RESPECT_HOURS = String(process.env.CD_RESPECT_HOURS ?? "1") !== "0";
 
 
-// ---- Simple in-memory TTL cache (reduces hammering IKEA endpoints) ----
+// ---- Upstream response cache (reduces hammering IKEA endpoints) ----
+// Memory LRU in front of a persistent backend, so restarts don't re-fetch everything.
+//   CACHE_BACKEND=disk (default, DATA_DIR/cache) | redis (REDIS_URL) | memory
+// TTLs are per upstream endpoint kind; CACHE_TTL_MS is the fallback for kinds without their own.
 const CACHE_TTL_MS = Number(process.env.CACHE_TTL_MS || 60_000); // 60s default
-const cache = new Map(); // key -> { expires, value }
-
-function cacheGet(key) {
-  const v = cache.get(key);
-  if (!v) return null;
-  if (Date.now() > v.expires) {
-    cache.delete(key);
-    return null;
-  }
-  return v.value;
+const CACHE_MAX_ENTRIES = Math.max(10, Number(process.env.CACHE_MAX_ENTRIES || 500));
+const CACHE_DISK_MAX_ENTRIES = Math.max(100, Number(process.env.CACHE_DISK_MAX_ENTRIES || 5000));
+const CACHE_BACKEND = String(process.env.CACHE_BACKEND || "disk").toLowerCase();
+const REDIS_URL = String(process.env.REDIS_URL || "redis://127.0.0.1:6379");
+
+function ttlEnv(name, fallback) {
+  const v = process.env[name];
+  return v === undefined || v === "" ? fallback : Number(v);
 }
 
-function cacheSet(key, value, ttlMs = CACHE_TTL_MS) {
-  cache.set(key, { expires: Date.now() + ttlMs, value });
-  // basic bound to prevent unbounded growth
-  if (cache.size > 500) {
-    const firstKey = cache.keys().next().value;
-    if (firstKey) cache.delete(firstKey);
-  }
-}
+const CACHE_TTLS = {
+  productDetails: ttlEnv("CACHE_TTL_PRODUCT_DETAILS_MS", 60 * 60 * 1000), // names/prices change rarely
+  scanShop: ttlEnv("CACHE_TTL_SCAN_SHOP_MS", CACHE_TTL_MS),
+  availability: ttlEnv("CACHE_TTL_AVAILABILITY_MS", CACHE_TTL_MS),
+  cia: ttlEnv("CACHE_TTL_CIA_MS", CACHE_TTL_MS),
+  storePage: ttlEnv("CACHE_TTL_STORE_PAGE_MS", 6 * 60 * 60 * 1000),
+  storeDetails: ttlEnv("CACHE_TTL_STORE_DETAILS_MS", 24 * 60 * 60 * 1000), // parsed /api/stores/:id records
+  search: ttlEnv("CACHE_TTL_SEARCH_MS", 10 * 60 * 1000)
+};
+
+const cache = createCache({
+  maxEntries: CACHE_MAX_ENTRIES,
+  diskMaxEntries: CACHE_DISK_MAX_ENTRIES,
+  backend: CACHE_BACKEND,
+  dir: path.join(DATA_DIR, "cache"),
+  redisUrl: REDIS_URL,
+  ttls: CACHE_TTLS,
+  defaultTtlMs: CACHE_TTL_MS
+});
 
 // ---- Persistent "last known good" snapshots for CD route ----
 function safeMkdirp(dir) {
@@ -99,224 +139,180 @@ function writeSnapshot(meta, snapshot) {
   }
 }
 
-function normArticle(article) {
-  return String(article || "").replace(/\D/g, "");
-}
-
-async function fetchJson(url) {
-  const cached = cacheGet(url);
-  if (cached) return cached;
-
-  const res = await fetch(url, {
-    headers: {
-      "accept": "application/json,text/plain,*/*",
-      "user-agent": "ikea-lookup/1.0 (+server-side proxy)"
-    }
-  });
-
-  if (!res.ok) {
-    const txt = await res.text().catch(() => "");
-    throw new Error(`HTTP ${res.status} from ${url}: ${txt.slice(0, 400)}`);
-  }
+// ---- Append-only price/stock history (one JSONL file per market/lang/store/article) ----
+// Every successful lookupMerged() appends a line. Identical consecutive readings within
+// HISTORY_DEDUPE_MS are skipped so cached responses / tight polling don't bloat the file.
+const HISTORY_DIR = path.join(DATA_DIR, "history");
+safeMkdirp(HISTORY_DIR);
+const HISTORY_DEDUPE_MS = Number(process.env.HISTORY_DEDUPE_MS || 5 * 60 * 1000); // 5 min
+const historyLast = new Map(); // file -> last entry written (avoids re-reading the file)
 
-  const data = await res.json();
-  cacheSet(url, data);
-  return data;
+function historyFile({ market, lang, store, article }) {
+  const key = `${market}_${lang}_${store}_${article}`.replace(/[^a-z0-9_]/gi, "");
+  return path.join(HISTORY_DIR, `${key}.jsonl`);
 }
 
-// ---- Ingka CIA (api.ingka.ikea.com) fetch (requires x-client-id + versioned accept header) ----
-
-async function fetchIngkaJson(url) {
-  const key = `ingka:${url}`;
-  const cached = cacheGet(key);
-  if (cached) return cached;
-
-  const res = await fetch(url, {
-    headers: {
-      "x-client-id": INGKA_CLIENT_ID,
-      "accept": "application/json;version=1",
-      "user-agent": "ikea-lookup/1.0 (+server-side proxy)"
-    }
-  });
-
-  if (!res.ok) {
-    const txt = await res.text().catch(() => "");
-    throw new Error(`HTTP ${res.status} from ${url}: ${txt.slice(0, 400)}`);
+function readLastLine(p) {
+  let fd = null;
+  try {
+    fd = fs.openSync(p, "r");
+    const size = fs.fstatSync(fd).size;
+    if (!size) return null;
+    const len = Math.min(size, 8192);
+    const buf = Buffer.alloc(len);
+    fs.readSync(fd, buf, 0, len, size - len);
+    const lines = buf.toString("utf8").split("\n").filter((l) => l.trim());
+    return lines.length ? lines[lines.length - 1] : null;
+  } catch {
+    return null;
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
   }
-
-  const data = await res.json();
-  cacheSet(key, data);
-  return data;
 }
 
-/**
- * Like fetchJson, but does NOT throw on non-2xx responses.
- * Useful for IKEA scan-shop which can return 503 STORE_CLOSED during end-of-day handling.
- */
-async function fetchJsonInfo(url) {
-  // Only cache successful JSON responses (avoid caching transient errors)
-  const cached = cacheGet(url);
-  if (cached) return { ok: true, status: 200, data: cached };
-
-  const res = await fetch(url, {
-    headers: {
-      "accept": "application/json,text/plain,*/*",
-      "user-agent": "ikea-lookup/1.0 (+server-side proxy)"
-    }
-  });
-
-  const status = res.status;
-
-  // Try JSON first (IKEA usually returns JSON for errors too), fallback to text
-  let data = null;
-  let text = null;
-  const ct = (res.headers.get("content-type") || "").toLowerCase();
-
-  if (ct.includes("application/json")) {
-    data = await res.json().catch(() => null);
-  } else {
-    text = await res.text().catch(() => "");
-    // Sometimes JSON is returned with odd headers
-    try {
-      data = JSON.parse(text);
-    } catch {
-      // ignore
-    }
-  }
-
-  if (res.ok) {
-    if (data !== null) cacheSet(url, data);
-    return { ok: true, status, data };
-  }
-
-  // Preserve some readable text for debugging
-  if (!text) {
-    try {
-      text = typeof data === "string" ? data : JSON.stringify(data);
-    } catch {
-      text = "";
-    }
-  }
-
-  return { ok: false, status, data, text };
+function historyEntryFrom(result) {
+  return {
+    ts: Date.now(),
+    storePrice: toFiniteNumber(result?.prices?.store?.raw),
+    onlinePrice: toFiniteNumber(result?.prices?.online?.raw),
+    qty: typeof result?.stock?.qty === "number" ? result.stock.qty : null,
+    status: result?.stock?.status ?? null,
+    storeClosed: Boolean(result?.storeClosed)
+  };
 }
 
-// ---- Ingka CIA fetch (requires x-client-id + versioned accept) ----
-async function fetchJsonCia(url) {
-  const key = `cia:${url}`;
-  const cached = cacheGet(key);
-  if (cached) return cached;
-
-  const res = await fetch(url, {
-    headers: {
-      "x-client-id": INGKA_CLIENT_ID,
-      "accept": "application/json;version=1",
-      "user-agent": "ikea-lookup/1.0 (+server-side proxy)"
-    }
-  });
-
-  if (!res.ok) {
-    const txt = await res.text().catch(() => "");
-    throw new Error(`HTTP ${res.status} from ${url}: ${txt.slice(0, 400)}`);
-  }
-
-  const data = await res.json();
-  cacheSet(key, data);
-  return data;
+function sameReading(a, b) {
+  return (
+    a.storePrice === b.storePrice &&
+    a.onlinePrice === b.onlinePrice &&
+    a.qty === b.qty &&
+    a.status === b.status &&
+    a.storeClosed === b.storeClosed
+  );
 }
 
-function pick(obj, path, fallback=null) {
+function appendHistory(meta, result) {
   try {
-    let cur = obj;
-    for (const k of path) {
-      if (cur == null) return fallback;
-      cur = cur[k];
+    const p = historyFile(meta);
+    const entry = historyEntryFrom(result);
+
+    let last = historyLast.get(p);
+    if (last === undefined) {
+      const line = readLastLine(p);
+      try {
+        last = line ? JSON.parse(line) : null;
+      } catch {
+        last = null;
+      }
     }
-    return cur == null ? fallback : cur;
+    if (last && sameReading(last, entry) && entry.ts - last.ts < HISTORY_DEDUPE_MS) return;
+
+    fs.appendFileSync(p, JSON.stringify(entry) + "\n", "utf8");
+    historyLast.set(p, entry);
   } catch {
-    return fallback;
+    // ignore
   }
 }
 
-function extractCiaOption(opt) {
-  const inRange = !!pick(opt, ["range", "inRange"], false);
-  const reasonRaw = pick(opt, ["range", "reason"], null);
-  const reasonCode = reasonRaw ? (reasonRaw.code ?? null) : null;
-
-  const status = pick(opt, ["availability", "probability", "thisDay", "messageType"], null);
-  const qty = pick(opt, ["availability", "quantity"], null);
-
-  const restocksRaw = pick(opt, ["availability", "restocks"], []);
-  const restocks = Array.isArray(restocksRaw)
-    ? restocksRaw.map(r => ({
-        earliestDate: r?.earliestDate ?? null,
-        latestDate: r?.latestDate ?? null,
-        quantity: r?.quantity ?? null,
-        reliability: r?.reliability ?? null,
-        type: r?.type ?? null,
-        updateDateTime: r?.updateDateTime ?? null
-      }))
-    : [];
-
-  return {
-    inRange,
-    status,
-    qty,
-    reason: (reasonRaw || reasonCode) ? { code: reasonCode, raw: reasonRaw } : null,
-    restocks
-  };
+// Accepts epoch ms or anything Date can parse (e.g. 2026-01-31)
+function parseTimeParam(v) {
+  if (v === null || v === undefined || String(v).trim() === "") return null;
+  const s = String(v).trim();
+  if (/^\d+$/.test(s)) return Number(s);
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? t : null;
 }
 
-function parseCiaForSelectedStore(cia, { itemNo, storeCode }) {
-  const av = Array.isArray(cia?.availabilities) ? cia.availabilities : [];
-  const storeEntry = av.find(a =>
-    String(a?.itemKey?.itemNo ?? "") === String(itemNo) &&
-    String(a?.classUnitKey?.classUnitType ?? "") === "STO" &&
-    String(a?.classUnitKey?.classUnitCode ?? "") === String(storeCode)
-  );
-
-  if (!storeEntry) return null;
+function readHistory(meta, { from = null, to = null, limit = null } = {}) {
+  const p = historyFile(meta);
+  if (!fs.existsSync(p)) return [];
 
-  return {
-    store: {
-      id: String(storeCode),
-      name: storeEntry?.classUnitKey?.classUnitName ?? null
-    },
-    itemNo: String(itemNo),
-    cashCarry: extractCiaOption(storeEntry?.buyingOption?.cashCarry),
-    clickCollect: extractCiaOption(storeEntry?.buyingOption?.clickCollect),
-    homeDelivery: extractCiaOption(storeEntry?.buyingOption?.homeDelivery),
-    eligibleForStockNotification: storeEntry?.eligibleForStockNotification ?? null
-  };
+  const out = [];
+  for (const line of fs.readFileSync(p, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    let e;
+    try {
+      e = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (typeof e?.ts !== "number") continue;
+    if (from !== null && e.ts < from) continue;
+    if (to !== null && e.ts > to) continue;
+    out.push(e);
+  }
+  return limit ? out.slice(-limit) : out;
 }
 
-async function fetchCiaAvailabilities({ itemNo, countryCode="au", unitType="ru" }) {
-  const url = `https://api.ingka.ikea.com/cia/availabilities/${unitType}/${countryCode}?itemNos=${encodeURIComponent(itemNo)}&expand=StoresList,Restocks`;
-  return await fetchJsonCia(url);
+function normArticle(article) {
+  return String(article || "").replace(/\D/g, "");
 }
 
-// ---- Text fetch (HTML) ----
-async function fetchText(url) {
-  const key = `text:${url}`;
-  const cached = cacheGet(key);
-  if (cached) return cached;
+// ---- Upstream client (see upstream.js): header profiles, timeouts, cache, rate limit, retries ----
+const upstream = createUpstreamClient({
+  cache,
+  clientId: INGKA_CLIENT_ID,
+  timeoutMs: Math.max(1000, Number(process.env.UPSTREAM_TIMEOUT_MS || 10_000)),
+  ratePerSec: Math.max(0.1, Number(process.env.UPSTREAM_RATE_PER_SEC || 5)),
+  burst: Math.max(1, Number(process.env.UPSTREAM_BURST || 10)),
+  retries: Math.max(0, Number(process.env.UPSTREAM_RETRIES ?? 2)),
+  retryBaseMs: Math.max(50, Number(process.env.UPSTREAM_RETRY_BASE_MS || 500)),
+  retryMaxMs: Math.max(50, Number(process.env.UPSTREAM_RETRY_MAX_MS || 10_000))
+});
 
-  const res = await fetch(url, {
-    headers: {
-      "accept": "text/html,*/*",
-      "user-agent": "ikea-lookup/1.0 (+server-side proxy)"
-    }
+if (String(process.env.UPSTREAM_LOG || "") === "1") {
+  upstream.use({
+    onResponse: (e) => console.log(`upstream ${e.status} ${e.ms}ms ${e.profile}/${e.kind ?? "-"} ${e.url}${e.willRetry ? " (retrying)" : ""}`),
+    onError: (e) => console.error(`upstream ${e.error.code} ${e.ms}ms ${e.url}${e.willRetry ? " (retrying)" : ""}`)
   });
+}
 
-  if (!res.ok) {
-    const txt = await res.text().catch(() => "");
-    throw new Error(`HTTP ${res.status} from ${url}: ${txt.slice(0, 200)}`);
+// ---- Prometheus metrics (see metrics.js), served at GET /metrics ----
+const metrics = createMetrics({ prefix: "ikea_lookup_" });
+
+// Upstream calls are labelled by their cache kind
+const UPSTREAM_ENDPOINTS = {
+  productDetails: "product-details",
+  scanShop: "scan-shop",
+  availability: "availability",
+  cia: "cia",
+  storePage: "store-page",
+  search: "search"
+};
+const upstreamEndpoint = (kind) => UPSTREAM_ENDPOINTS[kind] ?? kind ?? "other";
+
+const metricUpstreamRequests = metrics.counter("upstream_requests_total", "IKEA responses by endpoint and HTTP status (each retry attempt counts)", ["endpoint", "status"]);
+const metricUpstreamErrors = metrics.counter("upstream_errors_total", "IKEA requests without a response, by endpoint and error code (TIMEOUT, NETWORK)", ["endpoint", "code"]);
+const metricUpstreamDuration = metrics.histogram("upstream_request_duration_seconds", "IKEA request latency until response headers (or failure)", ["endpoint"]);
+metrics.counter("cache_requests_total", "Cache lookups by result since start (memory_hit, backend_hit, miss)", ["result"], () => {
+  const s = cache.stats();
+  return [
+    { labels: { result: "memory_hit" }, value: s.memoryHits },
+    { labels: { result: "backend_hit" }, value: s.backendHits },
+    { labels: { result: "miss" }, value: s.misses }
+  ];
+});
+metrics.gauge("cache_hit_ratio", "Share of cache lookups served from memory or the backend since start", [], () => {
+  const s = cache.stats();
+  const hits = s.memoryHits + s.backendHits;
+  return [{ labels: {}, value: hits + s.misses ? hits / (hits + s.misses) : 0 }];
+});
+metrics.gauge("cache_memory_entries", "Entries in the in-memory cache", [], () => [{ labels: {}, value: cache.stats().memoryEntries }]);
+const metricStoreClosed = metrics.counter("store_closed_total", "scan-shop STORE_CLOSED answers by market", ["market"]);
+const metricCdResponses = metrics.counter("cd_responses_total", "ChangeDetection page responses: ok, frozen (served from the last-good snapshot), store_closed (non-2xx), error", ["result"]);
+const metricHttpResponses = metrics.counter("http_responses_total", "Responses of this server by method, route and status", ["method", "route", "status"]);
+metrics.gauge("build_info", "Always 1; labelled with the app version", ["version"], () => [{ labels: { version: APP_VERSION }, value: 1 }]);
+
+upstream.use({
+  onResponse: (e) => {
+    metricUpstreamRequests.inc({ endpoint: upstreamEndpoint(e.kind), status: e.status });
+    metricUpstreamDuration.observe({ endpoint: upstreamEndpoint(e.kind) }, e.ms / 1000);
+  },
+  onError: (e) => {
+    metricUpstreamErrors.inc({ endpoint: upstreamEndpoint(e.kind), code: e.error.code });
+    metricUpstreamDuration.observe({ endpoint: upstreamEndpoint(e.kind) }, e.ms / 1000);
   }
-
-  const html = await res.text();
-  cacheSet(key, html);
-  return html;
-}
+});
 
 function slugifyStoreName(name) {
   return String(name || "")
@@ -329,21 +325,9 @@ function slugifyStoreName(name) {
     .replace(/^-|-$/g, "");
 }
 
-function decodeHtmlEntities(s) {
-  return String(s || "")
-    .replace(/&nbsp;/g, " ")
-    .replace(/&amp;/g, "&")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;|&#039;/g, "'")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
 // Store hours (HTML scrape) cache: 6h by default
 const STORE_HOURS_TTL_MS = Number(process.env.STORE_HOURS_TTL_MS || 6 * 60 * 60 * 1000);
-const storeHoursCache = new Map(); // slug -> { expires, value }
+const storeHoursCache = new Map(); // market/lang/slug -> { expires, value }
 
 function storeHoursGet(slug) {
   const v = storeHoursCache.get(slug);
@@ -363,38 +347,49 @@ function storeHoursSet(slug, value) {
   }
 }
 
-function parseStoreHoursFromHtml(html) {
-  // Target the block: <div class="hnf-store__container__block"> ... <h2>Store</h2> ... <dl>...</dl>
-  const blockRe = /<div[^>]*class=["'][^"']*hnf-store__container__block[^"']*["'][^>]*>[\s\S]*?<h2[^>]*>\s*Store\s*<\/h2>[\s\S]*?<dl[^>]*>([\s\S]*?)<\/dl>/i;
-  const bm = String(html || "").match(blockRe);
-  if (!bm) return [];
-
-  const dl = bm[1] || "";
-  const items = [];
-  const pairRe = /<dt[^>]*>([\s\S]*?)<\/dt>\s*<dd[^>]*>([\s\S]*?)<\/dd>/gi;
-  let m;
-  while ((m = pairRe.exec(dl))) {
-    const days = decodeHtmlEntities(stripHtml(m[1]));
-    const hours = decodeHtmlEntities(stripHtml(m[2]));
-    if (days && hours) items.push({ days, hours });
-  }
-  return items;
-}
-
-async function getStoreHours(slug) {
-  const cached = storeHoursGet(slug);
+/**
+ * Scraped store hours: the raw { days, hours } rows plus a machine-readable `schedule`
+ * ({ timeZone, weekly, special }, see weeklyScheduleFromItems / parseSpecialHoursFromHtml).
+ */
+async function getStoreHours(slug, { market = DEFAULT_MARKET, lang = null } = {}) {
+  const m = marketConfig(market);
+  const l = lang || m.langs[0];
+  const key = `${m.code}/${l}/${slug}`;
+  const cached = storeHoursGet(key);
   if (cached) return cached;
 
-  const url = `https://www.ikea.com/au/en/stores/${slug}/`;
-  const html = await fetchText(url);
+  const url = `https://www.ikea.com/${m.code}/${l}/stores/${slug}/`;
+  const html = await upstream.text(url, { kind: "storePage" });
   const hours = parseStoreHoursFromHtml(html);
-  const value = { slug, url, hours };
-  storeHoursSet(slug, value);
+  const store = listStores(m.code).find((s) => s.slug === slug);
+  const timeZone = storeTimeZone(store?.id, m.code);
+  const schedule = {
+    timeZone,
+    weekly: weeklyScheduleFromItems(hours),
+    special: parseSpecialHoursFromHtml(html, { today: zonedParts(new Date(), timeZone).ymd })
+  };
+  const value = { slug, market: m.code, lang: l, url, hours, schedule };
+  storeHoursSet(key, value);
   return value;
 }
 
-function stripHtml(input) {
-  return (input ?? "").toString().replace(/<[^>]*>/g, "");
+// IANA timezones for stores in markets that span several zones (store hours on the IKEA pages are
+// local time). Stores not listed here use their market's timeZone.
+const STORE_TIMEZONES = {
+  "006": "Australia/Melbourne", // Springvale
+  "384": "Australia/Melbourne", // Richmond
+  "377": "Australia/Sydney", // Marsden Park
+  "385": "Australia/Sydney", // Rhodes
+  "446": "Australia/Sydney", // Tempe
+  "451": "Australia/Sydney", // Canberra
+  "460": "Australia/Brisbane", // North Lakes
+  "919": "Australia/Brisbane", // Logan
+  "556": "Australia/Perth", // Perth
+  "557": "Australia/Adelaide" // Adelaide
+};
+
+function storeTimeZone(store, market = DEFAULT_MARKET) {
+  return STORE_TIMEZONES[String(store)] ?? marketConfig(market).timeZone;
 }
 
 function parseNumberLike(s) {
@@ -475,11 +470,12 @@ function isStoreClosedScanShop(respInfo) {
   return t.includes("STORE_CLOSED") || t.includes("End of day");
 }
 
-function money(n) {
+function money(n, market = DEFAULT_MARKET) {
   const x = toFiniteNumber(n);
   if (x === null) return "—";
+  const m = marketConfig(market);
   try {
-    return new Intl.NumberFormat("en-AU", { style: "currency", currency: "AUD" }).format(x);
+    return new Intl.NumberFormat(m.locale, { style: "currency", currency: m.currency }).format(x);
   } catch {
     return `$${x.toFixed(2)}`;
   }
@@ -510,7 +506,16 @@ function normCiaOption(opt) {
   const reason = opt?.range?.reason ?? null;
   const messageType = opt?.availability?.probability?.thisDay?.messageType ?? null;
   const quantity = opt?.availability?.quantity ?? null;
-  const restocks = Array.isArray(opt?.availability?.restocks) ? opt.availability.restocks : [];
+  const restocks = Array.isArray(opt?.availability?.restocks)
+    ? opt.availability.restocks.map((r) => ({
+        earliestDate: r?.earliestDate ?? null,
+        latestDate: r?.latestDate ?? null,
+        quantity: r?.quantity ?? null,
+        reliability: r?.reliability ?? null,
+        type: r?.type ?? null,
+        updateDateTime: r?.updateDateTime ?? null
+      }))
+    : [];
 
   return {
     inRange,
@@ -525,7 +530,16 @@ function normCiaOption(opt) {
   };
 }
 
-function summarizeCia(ciaData, { store, article }) {
+/**
+ * The CIA model used everywhere (lookup API, ChangeDetection page, UI, alert rules):
+ *   store      selected store (STO): { code, name, buyingOption: { cashCarry, clickCollect, homeDelivery } }
+ *   ru         whole market (RU), same shape
+ *   computed   display view of the store options: { inStore, clickCollect, homeDelivery }
+ *              with { available, status, reasonCode, quantity, primaryRestock }
+ * Each buying option is normCiaOption(): { inRange, messageType, quantity, restocks, primaryRestock, reason }.
+ */
+function summarizeCia(ciaData, { store, article, market = DEFAULT_MARKET }) {
+  const { ruCode } = marketConfig(market);
   const list = Array.isArray(ciaData?.availabilities) ? ciaData.availabilities : [];
 
   const storeEntry =
@@ -539,7 +553,7 @@ function summarizeCia(ciaData, { store, article }) {
     list.find((a) =>
       String(a?.itemKey?.itemNo) === String(article) &&
       String(a?.classUnitKey?.classUnitType) === "RU" &&
-      String(a?.classUnitKey?.classUnitCode) === "AU"
+      String(a?.classUnitKey?.classUnitCode).toUpperCase() === ruCode
     ) || null;
 
   const storeBuying = storeEntry?.buyingOption ?? null;
@@ -590,14 +604,15 @@ function summarizeCia(ciaData, { store, article }) {
           type: storeEntry?.classUnitKey?.classUnitType ?? "STO",
           code: storeEntry?.classUnitKey?.classUnitCode ?? String(store),
           name: storeEntry?.classUnitKey?.classUnitName ?? null,
-          buyingOption: storeNorm
+          buyingOption: storeNorm,
+          eligibleForStockNotification: storeEntry?.eligibleForStockNotification ?? null
         }
       : null,
     ru: ruEntry
       ? {
           type: ruEntry?.classUnitKey?.classUnitType ?? "RU",
-          code: ruEntry?.classUnitKey?.classUnitCode ?? "AU",
-          name: ruEntry?.classUnitKey?.classUnitName ?? "Australia",
+          code: ruEntry?.classUnitKey?.classUnitCode ?? ruCode,
+          name: ruEntry?.classUnitKey?.classUnitName ?? m.name,
           buyingOption: ruNorm
         }
       : null,
@@ -605,59 +620,96 @@ function summarizeCia(ciaData, { store, article }) {
   };
 }
 
-async function lookupMerged({ article, store, market, lang }) {
-  
-const urls = {
-  productDetails: `https://shop.api.ingka.ikea.com/range/v6/${market}/${lang}/browse/product-details/${article}`,
-  scanShop: `https://shop.api.ingka.ikea.com/scan-shop/v6/${market}/${lang}/stores/${store}/product/${article}/1`,
-  availability: `https://shop.api.ingka.ikea.com/range/v6/${market}/${lang}/browse/availability/product/${article}?storeIds=${store}`,
-  cia: `https://api.ingka.ikea.com/cia/availabilities/ru/${market}?itemNos=${article}&expand=StoresList,Restocks`
-};
+/**
+ * Every store (STO) entry from a CIA StoresList response, normalised to the
+ * in-store (cash & carry) view. Sorted by quantity, highest first; unknown quantity last.
+ */
+function summarizeCiaStores(ciaData, { article }) {
+  const list = Array.isArray(ciaData?.availabilities) ? ciaData.availabilities : [];
 
-  
-const [details, scanInfo, avail, ciaRes] = await Promise.all([
-  fetchJson(urls.productDetails),
-  fetchJsonInfo(urls.scanShop),
-  fetchJson(urls.availability),
-  fetchIngkaJson(urls.cia)
-    .then((data) => ({ ok: true, data }))
-    .catch((e) => ({ ok: false, error: e?.message || String(e) }))
-]);
+  const stores = list
+    .filter((a) =>
+      String(a?.itemKey?.itemNo) === String(article) &&
+      String(a?.classUnitKey?.classUnitType) === "STO"
+    )
+    .map((a) => {
+      const cc = normCiaOption(a?.buyingOption?.cashCarry);
+      return {
+        id: String(a?.classUnitKey?.classUnitCode ?? ""),
+        name: a?.classUnitKey?.classUnitName ?? null,
+        inRange: cc.inRange,
+        quantity: typeof cc.quantity === "number" ? cc.quantity : toFiniteNumber(cc.quantity),
+        messageType: cc.messageType,
+        earliestRestock: cc.primaryRestock?.earliestDate ?? null,
+        latestRestock: cc.primaryRestock?.latestDate ?? null,
+        reasonCode: cc.inRange === false ? (cc.reason?.code ?? null) : null
+      };
+    })
+    .filter((s) => s.id);
+
+  stores.sort((a, b) => {
+    const aq = a.quantity ?? -1;
+    const bq = b.quantity ?? -1;
+    if (aq !== bq) return bq - aq;
+    return String(a.name ?? a.id).localeCompare(String(b.name ?? b.id));
+  });
 
-const cia = ciaRes?.ok ? summarizeCia(ciaRes.data, { store, article }) : null;
+  return stores;
+}
 
-  const scan = scanInfo.ok ? scanInfo.data : null;
-  const storeClosed = isStoreClosedScanShop(scanInfo);
+// IKEA's product search (what the search box on ikea.com uses)
+function searchUrl({ market, lang, q, size }) {
+  return `https://sik.search.blue.cdtapps.com/${market}/${lang}/search-result-page?q=${encodeURIComponent(q)}&size=${size}&types=PRODUCT&autocorrect=true`;
+}
 
-  // Online (market) price + canonical product info
-  const onlineTitle = details?.product?.title ?? null;
-  const onlineDesc = details?.product?.description ?? details?.product?.typeName ?? null;
-  const onlineUrl = details?.product?.productUrl ?? null;
-  const onlineImgs = Array.isArray(details?.product?.images)
-    ? details.product.images.map(i => i?.imageUrl).filter(Boolean)
-    : [];
-  const onlineImg = onlineImgs[0] ?? null;
+// Search response -> [{ article, title, name, typeName, description, imageUrl, productUrl, price }]
+function summarizeSearch(data) {
+  const items = data?.searchResultPage?.products?.main?.items;
+  return (Array.isArray(items) ? items : [])
+    .map((it) => it?.product)
+    .filter(Boolean)
+    .map((p) => ({
+      article: normArticle(p.itemNo ?? p.id),
+      title: [p.name, p.typeName].filter(Boolean).join(" ") || null,
+      name: p.name ?? null,
+      typeName: p.typeName ?? null,
+      description: p.itemMeasureReferenceText ?? null,
+      imageUrl: p.mainImageUrl ?? null,
+      productUrl: p.pipUrl ?? null,
+      price: toFiniteNumber(p.salesPrice?.numeral)
+    }))
+    .filter((p) => p.article && p.article.length === 8);
+}
 
-  const onlineRaw = details?.product?.pricePackage?.includingVat?.rawPrice ?? null;
-  const onlinePretty = details?.product?.pricePackage?.includingVat?.sellingPrice ?? null;
+// Market-wide CIA availability incl. every store (StoresList) and restocks
+function ciaStoresListUrl({ market, article }) {
+  return `https://api.ingka.ikea.com/cia/availabilities/ru/${market}?itemNos=${article}&expand=StoresList,Restocks`;
+}
 
-  // In-store (store-specific; may be unavailable if STORE_CLOSED)
-  const storeRaw =
-    scan?.presentationSection?.productCard?.product?.pricePackage?.includingVat?.rawPrice ??
-    null;
-  const storePretty =
-    scan?.presentationSection?.productCard?.product?.pricePackage?.includingVat?.sellingPrice ??
-    null;
+// Settle an upstream call into { ok, data, error } so one failing source doesn't sink the others
+function settle(promise) {
+  return promise.then(
+    (data) => ({ ok: true, data }),
+    (error) => ({ ok: false, error })
+  );
+}
 
-  const scanTitle = scan?.presentationSection?.productCard?.product?.title ?? null;
-  const scanDesc =
-    scan?.presentationSection?.productCard?.product?.description ??
-    scan?.presentationSection?.productCard?.product?.typeName ??
-    null;
+function sourceStatus(settled, url) {
+  if (settled.ok) return { ok: true, error: null, status: null, url };
+  const e = settled.error;
+  return { ok: false, error: e?.message || String(e), status: e?.status ?? null, url };
+}
 
-  const scanImg = scan?.presentationSection?.productCard?.product?.imageUrl ?? null;
+function scanShopError(scanInfo, url) {
+  const debug = scanInfo.data ?? scanInfo.text ?? "";
+  const bodyExcerpt = (typeof debug === "string" ? debug : JSON.stringify(debug)).slice(0, 400);
+  return new UpstreamError(`HTTP ${scanInfo.status} from ${url}: ${bodyExcerpt}`, { status: scanInfo.status, url, bodyExcerpt, profile: "shop" });
+}
 
-  // ---- Division / department / location ----
+// ---- Pieces of a lookup shared by single articles and combination children ----
+
+// Division / department / location of an item from its scan-shop payload (all null without one)
+function summarizeScanLocation(scan) {
   // division is on location.division (e.g., MARKET_HALL / SHOWROOM)
   const division =
     scan?.presentationSection?.productCard?.salesLocation?.location?.division ??
@@ -685,6 +737,24 @@ const cia = ciaRes?.ok ? summarizeCia(ciaRes.data, { store, article }) : null;
   const codeMatch = String(itemLocationTextPlain || "").match(/\b[A-Z]{2,5}\d{2,5}\b/);
   if (codeMatch) locationCode = codeMatch[0];
 
+  const { pickupArea, aisle, bin } = parseItemLocation(itemLocationTextPlain, division);
+
+  return {
+    division,
+    floor: floorPretty,
+    department: deptName,
+    code: locationCode,
+    pickupArea,
+    aisle,
+    bin,
+    itemLocationText,
+    itemLocationTextText: itemLocationTextPlain
+  };
+}
+
+// In-store stock { qty, status, description, descriptionText } from the availability payload,
+// falling back to scan-shop
+function summarizeStock(avail, scan) {
   const qtyMax = scan?.buyingDecisionSection?.quantityPicker?.max ?? null;
 
   // Availability status & “There are X in stock…” (plus extract a number)
@@ -725,6 +795,184 @@ const cia = ciaRes?.ok ? summarizeCia(ciaRes.data, { store, article }) : null;
   const statusUpper = String(stockStatus || "").toUpperCase();
   const qty = statusUpper.includes("OUT") ? 0 : (avQty ?? qtyMax ?? null);
 
+  return { qty, status: stockStatus, description: avDesc, descriptionText: avDescPlain };
+}
+
+// true/false/null from a stock summary, needing at least `need` units when the quantity is known
+function stockCovers(stock, need = 1) {
+  if (typeof stock?.qty === "number") return stock.qty >= need;
+  const s = String(stock?.status || "").toUpperCase();
+  if (s.includes("OUT") || s === "UNAVAILABLE") return false;
+  if (s.includes("LOW") || s.includes("HIGH") || s === "IN_STOCK") return need <= 1 ? true : null;
+  return null;
+}
+
+// ---- Combination (SPR) products and variants ----
+// Product-details marks combinations with itemType "SPR" (their URLs end in -s<article>) and lists the
+// child articles with the quantity of each per set. Shapes differ a little between markets, hence the
+// fallbacks.
+
+// [{ article, quantity, title, description }]; [] for a plain article
+function extractChildItems(product) {
+  const list = product?.childItems ?? product?.children ?? product?.subItems ?? product?.packages?.childItems ?? [];
+  return (Array.isArray(list) ? list : [])
+    .map((c) => ({
+      article: normArticle(c?.itemNo ?? c?.itemNumber ?? c?.id),
+      quantity: Math.max(1, toFiniteNumber(c?.quantity ?? c?.qty) ?? 1),
+      title: c?.title ?? c?.name ?? null,
+      description: c?.description ?? c?.typeName ?? null
+    }))
+    .filter((c) => c.article.length === 8);
+}
+
+function isCombinationProduct(product, children) {
+  const type = String(product?.itemType ?? product?.type ?? "").toUpperCase();
+  return type === "SPR" || children.length > 0 || /-s\d{8}\/?$/i.test(String(product?.productUrl ?? ""));
+}
+
+function variantOption(o, article) {
+  const url = o?.url ?? o?.linkUrl ?? o?.pipUrl ?? null;
+  const a = normArticle(o?.itemNo ?? o?.itemNoGlobal ?? o?.id ?? String(url ?? "").match(/(\d{8})\/?(?:[?#].*)?$/)?.[1]);
+  return {
+    article: a,
+    title: o?.title ?? o?.name ?? o?.value ?? null,
+    selected: Boolean(o?.isSelected ?? o?.selected ?? a === article),
+    url,
+    imageUrl: o?.imageUrl ?? o?.image?.url ?? null
+  };
+}
+
+/**
+ * Colour/size variants of a product: [{ dimension, options: [{ article, title, selected, url, imageUrl }] }].
+ * Grouped `variations` ("Colour", "Size", ...) when product-details has them, else one group with
+ * dimension null from a flat `variants` list. [] when the product has none.
+ */
+function extractVariants(product, article) {
+  const groups = product?.variations ?? product?.variantGroups ?? null;
+  if (Array.isArray(groups) && groups.some((g) => Array.isArray(g?.options))) {
+    return groups
+      .map((g) => ({
+        dimension: g?.title ?? g?.name ?? null,
+        options: (Array.isArray(g?.options) ? g.options : []).map((o) => variantOption(o, article)).filter((o) => o.article.length === 8)
+      }))
+      .filter((g) => g.options.length);
+  }
+  const flat = product?.variants ?? product?.productVariants ?? [];
+  const options = (Array.isArray(flat) ? flat : []).map((o) => variantOption(o, article)).filter((o) => o.article.length === 8);
+  return options.length ? [{ dimension: null, options }] : [];
+}
+
+/**
+ * In-store stock and location of every child of a combination at one store:
+ *   { children: [{ article, quantity, title, description, stock, location, inStock, error }], inStock, sets }
+ * inStock is true only when every child covers its per-set quantity (null when some child is unknown
+ * and none is short); sets is how many complete sets the store could make (null when unknown).
+ * A child whose lookups fail is reported with `error` and counts as unknown.
+ */
+async function lookupCombinationChildren(children, { store, market, lang }) {
+  const rows = await mapWithConcurrency(children, BATCH_CONCURRENCY, async (c) => {
+    const scanUrl = `https://shop.api.ingka.ikea.com/scan-shop/v6/${market}/${lang}/stores/${store}/product/${c.article}/1`;
+    const availUrl = `https://shop.api.ingka.ikea.com/range/v6/${market}/${lang}/browse/availability/product/${c.article}?storeIds=${store}`;
+    const [scanRes, availRes] = await Promise.all([
+      settle(upstream.info(scanUrl, { kind: "scanShop" })),
+      settle(upstream.json(availUrl, { kind: "availability" }))
+    ]);
+    const scan = scanRes.ok && scanRes.data.ok ? scanRes.data.data : null;
+    const stock = summarizeStock(availRes.ok ? availRes.data : null, scan);
+    const error = !availRes.ok && !scan ? availRes.error?.message || "lookup failed" : null;
+    return { ...c, stock, location: summarizeScanLocation(scan), inStock: error ? null : stockCovers(stock, c.quantity), error };
+  });
+
+  const states = rows.map((r) => r.inStock);
+  const inStock = !rows.length ? null : states.includes(false) ? false : states.every((x) => x === true) ? true : null;
+  // Children without a positive per-set quantity can't limit the number of sets (x / 0 is Infinity)
+  const perSet = rows.filter((r) => Number.isFinite(r.quantity) && r.quantity > 0);
+  const sets = perSet.length && perSet.every((r) => typeof r.stock.qty === "number")
+    ? Math.min(...perSet.map((r) => Math.floor(r.stock.qty / r.quantity)))
+    : null;
+  return { children: rows, inStock, sets };
+}
+
+/**
+ * Merged product-details + scan-shop + availability + CIA lookup for one store/article.
+ * result.sources reports each upstream separately. By default any failure other than scan-shop
+ * STORE_CLOSED (or CIA, which is optional) throws; with { partial: true } the result is returned
+ * with the missing pieces left null and `partial: true`, unless every shop source failed.
+ * Partial and STORE_CLOSED results are not written to history (missing prices would read as changes).
+ */
+async function lookupMerged({ article, store, market, lang }, { partial = false } = {}) {
+  
+const urls = {
+  productDetails: `https://shop.api.ingka.ikea.com/range/v6/${market}/${lang}/browse/product-details/${article}`,
+  scanShop: `https://shop.api.ingka.ikea.com/scan-shop/v6/${market}/${lang}/stores/${store}/product/${article}/1`,
+  availability: `https://shop.api.ingka.ikea.com/range/v6/${market}/${lang}/browse/availability/product/${article}?storeIds=${store}`,
+  cia: ciaStoresListUrl({ market, article })
+};
+
+  
+const [detailsRes, scanRes, availRes, ciaRes] = await Promise.all([
+  settle(upstream.json(urls.productDetails, { kind: "productDetails" })),
+  // If scan-shop failed with something other than STORE_CLOSED, treat it as a normal error
+  settle(
+    upstream.info(urls.scanShop, { kind: "scanShop" }).then((info) => {
+      if (!info.ok && !isStoreClosedScanShop(info)) throw scanShopError(info, urls.scanShop);
+      return info;
+    })
+  ),
+  settle(upstream.json(urls.availability, { kind: "availability" })),
+  settle(upstream.json(urls.cia, { profile: "cia", kind: "cia" }))
+]);
+
+const failed = [detailsRes, scanRes, availRes].filter((r) => !r.ok);
+if (failed.length && (!partial || failed.length === 3)) throw failed[0].error;
+
+const details = detailsRes.ok ? detailsRes.data : null;
+const scanInfo = scanRes.ok ? scanRes.data : null;
+const avail = availRes.ok ? availRes.data : null;
+const cia = ciaRes.ok ? summarizeCia(ciaRes.data, { store, article, market }) : null;
+
+  const scan = scanInfo?.ok ? scanInfo.data : null;
+  const storeClosed = isStoreClosedScanShop(scanInfo);
+  // Label values come from the query, so only known markets get their own series
+  if (storeClosed) metricStoreClosed.inc({ market: MARKETS[market] ? market : "other" });
+
+  // Online (market) price + canonical product info
+  const onlineTitle = details?.product?.title ?? null;
+  const onlineDesc = details?.product?.description ?? details?.product?.typeName ?? null;
+  const onlineUrl = details?.product?.productUrl ?? null;
+  const onlineImgs = Array.isArray(details?.product?.images)
+    ? details.product.images.map(i => i?.imageUrl).filter(Boolean)
+    : [];
+  const onlineImg = onlineImgs[0] ?? null;
+
+  const onlineRaw = details?.product?.pricePackage?.includingVat?.rawPrice ?? null;
+  const onlinePretty = details?.product?.pricePackage?.includingVat?.sellingPrice ?? null;
+
+  // In-store (store-specific; may be unavailable if STORE_CLOSED)
+  const storeRaw =
+    scan?.presentationSection?.productCard?.product?.pricePackage?.includingVat?.rawPrice ??
+    null;
+  const storePretty =
+    scan?.presentationSection?.productCard?.product?.pricePackage?.includingVat?.sellingPrice ??
+    null;
+
+  const scanTitle = scan?.presentationSection?.productCard?.product?.title ?? null;
+  const scanDesc =
+    scan?.presentationSection?.productCard?.product?.description ??
+    scan?.presentationSection?.productCard?.product?.typeName ??
+    null;
+
+  const scanImg = scan?.presentationSection?.productCard?.product?.imageUrl ?? null;
+
+  const location = summarizeScanLocation(scan);
+  const stock = summarizeStock(avail, scan);
+
+  // Combination (SPR): per-child stock/location; the set is only in stock when every child is
+  const children = extractChildItems(details?.product);
+  const combination = isCombinationProduct(details?.product, children)
+    ? { type: "SPR", ...(await lookupCombinationChildren(children, { store, market, lang })) }
+    : null;
+
   const imageUrls = Array.from(new Set([scanImg, ...onlineImgs].filter(Boolean)));
 
   const product = {
@@ -740,6 +988,7 @@ const cia = ciaRes?.ok ? summarizeCia(ciaRes.data, { store, article }) : null;
     market,
     lang,
     store,
+    currency: marketConfig(market).currency,
     storeClosed,
     storeClosedMessage: storeClosed
       ? ":-(" + " The store is currently closed (End of day handling). In-store price/location may be unavailable."
@@ -750,152 +999,1621 @@ const cia = ciaRes?.ok ? summarizeCia(ciaRes.data, { store, article }) : null;
       online: { raw: onlineRaw, text: onlinePretty },
       store: { raw: storeRaw, text: storePretty }
     },
-    stock: {
-      qty,
-status: stockStatus,
-      description: avDesc,
-      descriptionText: avDescPlain
-    },
-    location: {
-      division,
-      floor: floorPretty,
-      department: deptName,
-      code: locationCode,
-      itemLocationText,
-      itemLocationTextText: itemLocationTextPlain
-    },
+    stock,
+    location,
+    combination,
+    variants: extractVariants(details?.product, article),
     cia: {
-      ok: Boolean(ciaRes?.ok),
-      error: ciaRes?.ok ? null : (ciaRes?.error ?? "CIA unavailable"),
+      ok: ciaRes.ok,
+      error: ciaRes.ok ? null : (ciaRes.error?.message || "CIA unavailable"),
       url: urls.cia,
-      summary: cia
+      store: cia?.store ?? null,
+      ru: cia?.ru ?? null,
+      computed: cia?.computed ?? null
+    },
+    partial: failed.length > 0,
+    sources: {
+      productDetails: sourceStatus(detailsRes, urls.productDetails),
+      scanShop: { ...sourceStatus(scanRes, urls.scanShop), storeClosed },
+      availability: sourceStatus(availRes, urls.availability),
+      cia: sourceStatus(ciaRes, urls.cia)
     }
   };
 
-  // If scan-shop failed with something other than STORE_CLOSED, surface it as a normal error
-  if (!scanInfo.ok && !storeClosed) {
-    const debug = scanInfo.data ?? scanInfo.text ?? "";
-    throw new Error(`HTTP ${scanInfo.status} from ${urls.scanShop}: ${typeof debug === "string" ? debug.slice(0, 400) : JSON.stringify(debug).slice(0, 400)}`);
+  if (!result.partial && !result.storeClosed) appendHistory({ market, lang, store, article }, result);
+
+  return result;
+}
+
+// ---- Batch helpers ----
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS || 200);
+const BATCH_CONCURRENCY = Math.max(1, Number(process.env.BATCH_CONCURRENCY || 4));
+
+// Accept either an array or a comma/whitespace separated string
+function toList(v) {
+  if (Array.isArray(v)) return v.filter((x) => x !== null && x !== undefined && String(x).trim() !== "");
+  if (v === null || v === undefined) return [];
+  return String(v).split(/[\s,]+/).filter(Boolean);
+}
+
+function uniqueList(arr) {
+  return Array.from(new Set(arr.filter(Boolean)));
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight. Results keep input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+
+  const workers = [];
+  for (let w = 0; w < Math.min(limit, items.length); w++) workers.push(worker());
+  await Promise.all(workers);
+  return out;
+}
+
+// ---- Server-side watchlist (persisted to DATA_DIR/watches.json) ----
+// A scheduler re-runs lookupMerged() for each enabled watch every intervalMs. When the store's
+// scraped hours say it's closed we skip the run, so polling doesn't trip the STORE_CLOSED path.
+const WATCHES_FILE = path.join(DATA_DIR, "watches.json");
+const WATCH_INTERVAL_MS = Math.max(60_000, Number(process.env.WATCH_INTERVAL_MS || 15 * 60 * 1000)); // 15 min
+const WATCH_TICK_MS = Number(process.env.WATCH_TICK_MS || 30_000);
+const WATCH_RESPECT_HOURS = String(process.env.WATCH_RESPECT_HOURS || "1") !== "0";
+const WATCH_SCHEDULER_ENABLED = String(process.env.WATCH_SCHEDULER || "1") !== "0";
+
+let watches = loadWatches();
+let watchTickRunning = false;
+
+function loadWatches() {
+  try {
+    if (!fs.existsSync(WATCHES_FILE)) return [];
+    const arr = JSON.parse(fs.readFileSync(WATCHES_FILE, "utf8"));
+    return Array.isArray(arr) ? arr.filter((w) => w && w.id && w.article && w.store) : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveWatches() {
+  try {
+    // write-then-rename so a crash mid-write can't truncate the list
+    const tmp = `${WATCHES_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(watches, null, 2), "utf8");
+    fs.renameSync(tmp, WATCHES_FILE);
+  } catch (e) {
+    console.error(`Failed to save watches: ${e?.message || e}`);
+  }
+}
+
+function findWatch(id) {
+  return watches.find((w) => w.id === String(id)) || null;
+}
+
+/**
+ * Validate + normalise a watch create/update body.
+ * Returns { error } or { value } with only the fields that were supplied.
+ */
+function parseWatchInput(body, { partial = false } = {}) {
+  const b = body && typeof body === "object" ? body : {};
+  const value = {};
+
+  if (!partial || b.article !== undefined) {
+    const article = normArticle(b.article);
+    if (article.length !== 8) return { error: "article must be an 8-digit IKEA article number" };
+    value.article = article;
+  }
+  if (!partial || b.store !== undefined) {
+    const store = String(b.store ?? DEFAULT_STORE).trim();
+    if (!/^\d+$/.test(store)) return { error: "store must be a numeric store id" };
+    value.store = store;
+  }
+  if (!partial || b.market !== undefined) value.market = String(b.market || DEFAULT_MARKET).toLowerCase();
+  if (!partial || b.lang !== undefined) value.lang = String(b.lang || "en").toLowerCase();
+  if (b.label !== undefined) value.label = b.label === null ? null : String(b.label).slice(0, 200);
+  if (b.enabled !== undefined) value.enabled = Boolean(b.enabled);
+  else if (!partial) value.enabled = true;
+
+  if (b.intervalMinutes !== undefined && b.intervalMinutes !== null) {
+    const m = Number(b.intervalMinutes);
+    if (!Number.isFinite(m) || m < 1) return { error: "intervalMinutes must be a number >= 1" };
+    value.intervalMs = Math.round(m * 60_000);
+  } else if (b.intervalMinutes === null) {
+    value.intervalMs = null;
+  }
+
+  return { value };
+}
+
+function storeSlugFor(store, market) {
+  try {
+    return listStores(market).find((s) => String(s.id) === String(store))?.slug ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// "Tue 10:00 am" in the store's timezone, formatted for the market
+function formatLocalTime(iso, timeZone, market) {
+  try {
+    return new Intl.DateTimeFormat(marketConfig(market).locale, { timeZone, weekday: "short", hour: "numeric", minute: "2-digit" }).format(new Date(iso));
+  } catch {
+    return iso;
+  }
+}
+
+/**
+ * Opening state of a store from its scraped schedule: { open, nextOpen, nextChange, timeZone }.
+ * open is true/false, or null when the hours are unknown; nextOpen is an ISO timestamp (only when closed).
+ */
+async function storeHoursStatus({ store, market }, date = new Date()) {
+  const timeZone = storeTimeZone(store, market);
+  const slug = storeSlugFor(store, market);
+  if (!slug) return { open: null, nextOpen: null, nextChange: null, timeZone };
+  try {
+    const { schedule } = await getStoreHours(slug, { market });
+    const { open, nextChange } = scheduleStatus({ ...schedule, timeZone }, date);
+    return { open, nextOpen: open === false ? nextChange?.at ?? null : null, nextChange, timeZone };
+  } catch {
+    return { open: null, nextOpen: null, nextChange: null, timeZone };
+  }
+}
+
+// true/false from the scraped hours, or null when unknown (then we poll anyway)
+async function storeOpenNow({ store, market }) {
+  return (await storeHoursStatus({ store, market })).open;
+}
+
+async function runWatch(watch, { force = false } = {}) {
+  const now = Date.now();
+
+  if (!force && WATCH_RESPECT_HOURS) {
+    const open = await storeOpenNow(watch);
+    if (open === false) {
+      watch.lastSkippedAt = now;
+      watch.lastSkipReason = "store closed (store hours)";
+      return { skipped: true };
+    }
+  }
+
+  watch.lastRunAt = now;
+  try {
+    const { article, store, market, lang } = watch;
+    const result = await lookupMerged({ article, store, market, lang });
+    watch.lastOkAt = Date.now();
+    watch.lastError = null;
+    watch.last = historyEntryFrom(result);
+    const alerts = evaluateWatchRules(watch, result);
+    await notifyAlerts(watch, result, alerts);
+    return { skipped: false, result, alerts };
+  } catch (e) {
+    watch.lastError = e?.message || String(e);
+    return { skipped: false, error: watch.lastError };
+  }
+}
+
+// ---- Alert rules (evaluated after each successful watch run) ----
+// Each rule keeps a little state on itself (lastKey / baseline) so one event fires once:
+// a rule only fires again after its condition has cleared or the value has changed again.
+const ALERTS_FILE = path.join(DATA_DIR, "alerts.jsonl");
+
+// In-store quantity for alert rules; for a combination, the number of complete sets
+function alertQty(result) {
+  const q = result?.combination ? result.combination.sets : result?.stock?.qty;
+  return typeof q === "number" ? q : null;
+}
+
+// The fields rules look at, pulled out of a lookupMerged() result
+function alertObservation(result) {
+  const cashCarry = result?.cia?.store?.buyingOption?.cashCarry ?? null;
+  return {
+    storePrice: result?.storeClosed ? null : toFiniteNumber(result?.prices?.store?.raw),
+    qty: result?.storeClosed ? null : alertQty(result),
+    restockEarliest: result?.cia?.computed?.inStore?.primaryRestock?.earliestDate ?? null,
+    cashCarryInRange: typeof cashCarry?.inRange === "boolean" ? cashCarry.inRange : null
+  };
+}
+
+/**
+ * Rule types. evaluate(rule, prev, cur, market) mutates rule state and returns
+ * { message, from, to } when the rule fires, else null.
+ * prev is the previous observation for the watch (null on the first run).
+ */
+const ALERT_RULE_TYPES = {
+  // in-store price below X
+  price_below: {
+    params: ["price"],
+    evaluate(rule, prev, cur, market) {
+      if (cur.storePrice === null) return null; // closed/missing: keep state
+      if (cur.storePrice >= rule.params.price) {
+        rule.lastKey = null;
+        return null;
+      }
+      if (rule.lastKey === "below") return null;
+      rule.lastKey = "below";
+      return { message: `In-store price ${money(cur.storePrice, market)} is below ${money(rule.params.price, market)}`, from: prev?.storePrice ?? null, to: cur.storePrice };
+    }
+  },
+
+  // prices.store.raw dropped by >= N% from the baseline (highest price seen since the last alert)
+  price_drop_pct: {
+    params: ["percent"],
+    evaluate(rule, prev, cur, market) {
+      if (cur.storePrice === null) return null;
+      const base = typeof rule.baseline === "number" ? rule.baseline : null;
+      if (base === null || cur.storePrice > base) {
+        rule.baseline = cur.storePrice;
+        return null;
+      }
+      const pct = base > 0 ? ((base - cur.storePrice) / base) * 100 : 0;
+      if (pct < rule.params.percent) return null;
+      rule.baseline = cur.storePrice;
+      return { message: `In-store price dropped ${pct.toFixed(1)}% from ${money(base, market)} to ${money(cur.storePrice, market)}`, from: base, to: cur.storePrice };
+    }
+  },
+
+  // qty went from 0 to > 0
+  back_in_stock: {
+    params: [],
+    evaluate(rule, prev, cur) {
+      if (cur.qty === null) return null;
+      if (cur.qty <= 0) {
+        rule.lastKey = "out";
+        return null;
+      }
+      if (rule.lastKey !== "out") {
+        rule.lastKey = "in";
+        return null;
+      }
+      rule.lastKey = "in";
+      return { message: `Back in stock: ${cur.qty} available`, from: 0, to: cur.qty };
+    }
+  },
+
+  // CIA primaryRestock.earliestDate changed
+  restock_date_changed: {
+    params: [],
+    evaluate(rule, prev, cur) {
+      if (!prev) {
+        rule.lastKey = cur.restockEarliest;
+        return null;
+      }
+      if (cur.restockEarliest === null || cur.restockEarliest === rule.lastKey) return null;
+      const from = rule.lastKey ?? null;
+      rule.lastKey = cur.restockEarliest;
+      return { message: `Earliest restock date changed${from ? ` from ${from}` : ""} to ${cur.restockEarliest}`, from, to: cur.restockEarliest };
+    }
+  },
+
+  // CIA cashCarry inRange flipped to false
+  cash_carry_out_of_range: {
+    params: [],
+    evaluate(rule, prev, cur) {
+      if (cur.cashCarryInRange === null) return null;
+      if (cur.cashCarryInRange === true) {
+        rule.lastKey = "in";
+        return null;
+      }
+      if (rule.lastKey !== "in") {
+        rule.lastKey = "out";
+        return null;
+      }
+      rule.lastKey = "out";
+      return { message: "No longer ranged in-store (cash & carry inRange is false)", from: true, to: false };
+    }
+  }
+};
+
+function parseRuleInput(body) {
+  const b = body && typeof body === "object" ? body : {};
+  const type = String(b.type || "");
+  const def = ALERT_RULE_TYPES[type];
+  if (!def) return { error: `Unknown rule type. Use one of: ${Object.keys(ALERT_RULE_TYPES).join(", ")}` };
+
+  const params = {};
+  for (const p of def.params) {
+    const v = Number(b[p] ?? b.params?.[p]);
+    if (!Number.isFinite(v) || v <= 0) return { error: `${type} needs a positive numeric "${p}"` };
+    params[p] = v;
+  }
+
+  return {
+    value: {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      enabled: b.enabled === undefined ? true : Boolean(b.enabled),
+      createdAt: Date.now(),
+      lastFiredAt: null,
+      lastKey: null,
+      baseline: null
+    }
+  };
+}
+
+function appendAlert(event) {
+  try {
+    fs.appendFileSync(ALERTS_FILE, JSON.stringify(event) + "\n", "utf8");
+  } catch {
+    // ignore
+  }
+}
+
+function readAlerts({ watchId = null, limit = 100 } = {}) {
+  if (!fs.existsSync(ALERTS_FILE)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(ALERTS_FILE, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const e = JSON.parse(line);
+      if (!watchId || e?.watchId === watchId) out.push(e);
+    } catch {
+      // skip bad line
+    }
+  }
+  return out.slice(-limit).reverse();
+}
+
+function evaluateWatchRules(watch, result) {
+  const cur = alertObservation(result);
+  const prev = watch.observed ?? null;
+  const events = [];
+
+  for (const rule of Array.isArray(watch.rules) ? watch.rules : []) {
+    if (!rule.enabled) continue;
+    const def = ALERT_RULE_TYPES[rule.type];
+    if (!def) continue;
+
+    const hit = def.evaluate(rule, prev, cur, watch.market);
+    if (!hit) continue;
+
+    rule.lastFiredAt = Date.now();
+    const event = {
+      id: crypto.randomUUID(),
+      ts: rule.lastFiredAt,
+      watchId: watch.id,
+      ruleId: rule.id,
+      type: rule.type,
+      article: watch.article,
+      store: watch.store,
+      market: watch.market,
+      lang: watch.lang,
+      title: result?.product?.title ?? null,
+      message: hit.message,
+      from: hit.from,
+      to: hit.to
+    };
+    appendAlert(event);
+    events.push(event);
+  }
+
+  watch.observed = cur;
+  return events;
+}
+
+// ---- Alert notifications (see notifier.js) ----
+// PUBLIC_BASE_URL is used to build the /:store/:article link in messages (e.g. http://nas.local:8088)
+const PUBLIC_BASE_URL = String(process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, "");
+const notifier = createNotifier({ dataDir: DATA_DIR, timeoutMs: Number(process.env.NOTIFY_TIMEOUT_MS || 10_000) });
+
+// Template variables for notification messages
+function storeNameFor(store, market) {
+  try {
+    return listStores(market).find((s) => String(s.id) === String(store))?.name ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// This app's /:store/:article page for an item. That route reads market and lang from the query
+// (defaulting to DEFAULT_MARKET / "en"), so they're added for any other market.
+function publicItemUrl({ store, article, market, lang }) {
+  const base = `${PUBLIC_BASE_URL}/${store}/${article}`;
+  const m = String(market || DEFAULT_MARKET).toLowerCase();
+  if (m === DEFAULT_MARKET) return base;
+  const l = String(lang || marketConfig(m).langs[0]).toLowerCase();
+  return `${base}?market=${encodeURIComponent(m)}&lang=${encodeURIComponent(l)}`;
+}
+
+function alertContext({ store, article, market, lang }, result) {
+  const storeName = storeNameFor(store, market);
+  return {
+    title: result?.product?.title ?? `Article ${article}`,
+    description: result?.product?.description ?? null,
+    store,
+    storeName: storeName ?? store,
+    article,
+    storePrice: money(result?.prices?.store?.raw, market),
+    onlinePrice: money(result?.prices?.online?.raw, market),
+    qty: result?.stock?.qty ?? null,
+    status: result?.stock?.status ?? null,
+    productUrl: result?.product?.productUrl ?? null,
+    link: publicItemUrl({ store, article, market, lang })
+  };
+}
+
+async function notifyAlerts(watch, result, alerts) {
+  if (!alerts.length) return;
+  const ctx = alertContext(watch, result);
+  for (const event of alerts) {
+    const deliveries = await notifier.dispatch(event, { ...ctx, type: event.type });
+    for (const d of deliveries) {
+      if (!d.ok) console.error(`Alert delivery via ${d.channel} failed: ${d.error}`);
+    }
+  }
+}
+
+function watchDue(watch, now) {
+  if (!watch.enabled) return false;
+  const interval = watch.intervalMs || WATCH_INTERVAL_MS;
+  const lastAttempt = Math.max(watch.lastRunAt || 0, watch.lastSkippedAt || 0);
+  return now - lastAttempt >= interval;
+}
+
+async function watchTick() {
+  if (watchTickRunning) return;
+  watchTickRunning = true;
+  try {
+    const now = Date.now();
+    const due = watches.filter((w) => watchDue(w, now));
+    if (!due.length) return;
+    await mapWithConcurrency(due, BATCH_CONCURRENCY, (w) => runWatch(w));
+    saveWatches();
+  } catch (e) {
+    console.error(`Watch scheduler error: ${e?.message || e}`);
+  } finally {
+    watchTickRunning = false;
+  }
+}
+
+function startWatchScheduler() {
+  if (!WATCH_SCHEDULER_ENABLED) return;
+  setInterval(watchTick, WATCH_TICK_MS);
+}
+
+// ---- Shopping lists and pick lists (see picklist.js) ----
+const shoppingLists = createShoppingLists({
+  dataDir: DATA_DIR,
+  markets: Object.keys(MARKETS),
+  defaultStore: DEFAULT_STORE,
+  defaultMarket: DEFAULT_MARKET
+});
+
+// One pick-list line. enough is false when the store has fewer than qty (null when unknown).
+function pickEntry({ article, qty, title = null, description = null, location = null, stock = null, partOf = null, error = null }) {
+  return {
+    article,
+    qty,
+    partOf,
+    title,
+    description,
+    division: location?.division ?? null,
+    floor: location?.floor ?? null,
+    department: location?.department ?? null,
+    code: location?.code ?? null,
+    pickupArea: location?.pickupArea ?? null,
+    aisle: location?.aisle ?? null,
+    bin: location?.bin ?? null,
+    itemLocationText: location?.itemLocationTextText ?? null,
+    stockQty: stock?.qty ?? null,
+    stockStatus: stock?.status ?? null,
+    enough: error ? null : stockCovers(stock, qty),
+    error
+  };
+}
+
+/**
+ * Look up every item on a list at its store and build the pick list. Combination articles are
+ * expanded into their parts (qty per set × sets wanted), since the parts are what you pick.
+ */
+async function buildListPickList(list) {
+  const { store, market, lang } = list;
+  const looked = await mapWithConcurrency(list.items, BATCH_CONCURRENCY, async (item) => {
+    try {
+      return { item, result: await lookupMerged({ article: item.article, store, market, lang }, { partial: true }) };
+    } catch (e) {
+      return { item, error: e?.message || String(e) };
+    }
+  });
+
+  const entries = [];
+  for (const { item, result, error } of looked) {
+    if (error) {
+      entries.push(pickEntry({ ...item, error }));
+    } else if (result.combination?.children?.length) {
+      for (const c of result.combination.children) {
+        entries.push(pickEntry({ ...c, qty: c.quantity * item.qty, partOf: item.article }));
+      }
+    } else {
+      entries.push(pickEntry({ ...item, title: result.product.title, description: result.product.description, location: result.location, stock: result.stock }));
+    }
+  }
+
+  const groups = buildPickList(entries);
+  return {
+    list: { id: list.id, name: list.name, store, market, lang },
+    storeName: storeNameFor(store, market) ?? store,
+    storeClosed: looked.some((r) => r.result?.storeClosed),
+    generatedAt: new Date().toISOString(),
+    count: entries.length,
+    shortCount: entries.filter((e) => e.enough === false).length,
+    errorCount: entries.filter((e) => e.error).length,
+    groups
+  };
+}
+
+function dottedArticle(a) {
+  const s = String(a || "");
+  return s.length === 8 ? `${s.slice(0, 3)}.${s.slice(3, 6)}.${s.slice(6)}` : s;
+}
+
+// Printable pick list (light theme, one table per division/department)
+function renderPickListHtml(pick) {
+  const { market } = pick.list;
+  let when = pick.generatedAt;
+  try {
+    when = new Intl.DateTimeFormat(marketConfig(market).locale, { timeZone: storeTimeZone(pick.list.store, market), dateStyle: "medium", timeStyle: "short" })
+      .format(new Date(pick.generatedAt));
+  } catch {
+    // keep the ISO timestamp
+  }
+  const sections = pick.groups
+    .map((g) => {
+      const heading = [g.floor ?? (g.division ? titleCase(String(g.division).replace(/_/g, " ")) : "Location unknown"), g.department]
+        .filter(Boolean)
+        .join(" — ");
+      const rows = g.items
+        .map((e) => {
+          const stock = e.error
+            ? `<span class="flag">Lookup failed</span>`
+            : e.enough === false
+              ? `<span class="flag">Short${e.stockQty !== null ? ` (${e.stockQty} in stock)` : ""}</span>`
+              : escapeHtml(e.stockQty ?? (e.enough ? "OK" : "?"));
+          const name = [e.title, e.description].filter(Boolean).join(" ") || "—";
+          return `
+        <tr class="${e.enough === false || e.error ? "short" : ""}">
+          <td class="box">☐</td>
+          <td class="num">${escapeHtml(e.qty)}</td>
+          <td>${escapeHtml(name)}${e.partOf ? `<div class="part">Part of ${escapeHtml(dottedArticle(e.partOf))}</div>` : ""}</td>
+          <td class="mono">${escapeHtml(dottedArticle(e.article))}</td>
+          <td class="num">${escapeHtml(e.aisle ?? "")}</td>
+          <td class="num">${escapeHtml(e.bin ?? "")}</td>
+          <td>${escapeHtml(e.itemLocationText ?? e.code ?? "")}</td>
+          <td>${stock}</td>
+        </tr>`;
+        })
+        .join("");
+      return `
+    <h2>${escapeHtml(heading)}</h2>
+    <table>
+      <thead><tr><th></th><th>Qty</th><th>Product</th><th>Article</th><th>Aisle</th><th>Bin</th><th>Location</th><th>Stock</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`;
+    })
+    .join("");
+
+  const notes = [
+    pick.shortCount ? `${pick.shortCount} item${pick.shortCount === 1 ? "" : "s"} without enough stock` : null,
+    pick.errorCount ? `${pick.errorCount} lookup${pick.errorCount === 1 ? "" : "s"} failed` : null,
+    pick.storeClosed ? "Store closed: locations may be missing" : null
+  ].filter(Boolean);
+
+  return `<!doctype html>
+<html lang="${escapeHtml(pick.list.lang)}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(pick.list.name)} — pick list</title>
+  <meta name="robots" content="noindex,nofollow" />
+  <style>
+    body { margin:0; font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; background:#fff; color:#111; }
+    .wrap { max-width: 1000px; margin: 0 auto; padding: 24px 18px; }
+    h1 { margin: 0 0 4px; font-size: 24px; }
+    h2 { margin: 22px 0 6px; font-size: 17px; border-bottom: 2px solid #111; padding-bottom: 3px; }
+    .sub { margin: 0 0 8px; color:#555; }
+    .notes { margin: 8px 0; font-weight: 700; color:#b42318; }
+    table { width:100%; border-collapse: collapse; font-size: 14px; }
+    th, td { text-align:left; padding: 6px 6px; border-bottom: 1px solid #ddd; vertical-align: top; }
+    th { font-size: 12px; color:#555; }
+    .num { text-align:right; font-variant-numeric: tabular-nums; }
+    .mono { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; white-space: nowrap; }
+    .box { font-size: 18px; width: 18px; }
+    .part { font-size: 12px; color:#555; }
+    .flag { font-weight: 800; color:#b42318; }
+    tr.short td { background:#fef3f2; }
+    button { margin-top: 10px; padding: 8px 14px; font-size: 14px; }
+    @media print { button { display:none; } .wrap { padding: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <div class="wrap">
+    <h1>${escapeHtml(pick.list.name)}</h1>
+    <p class="sub">IKEA ${escapeHtml(pick.storeName)} • ${escapeHtml(pick.count)} line${pick.count === 1 ? "" : "s"} • ${escapeHtml(when)}</p>
+    ${notes.length ? `<div class="notes">${escapeHtml(notes.join(" • "))}</div>` : ""}
+    <button type="button" onclick="window.print()">Print</button>
+    ${sections || "<p>The list is empty.</p>"}
+  </div>
+</body>
+</html>
+`;
+}
+
+// Count every response; the route label is the matched route pattern, so ids don't explode the series
+app.use((req, res, next) => {
+  res.on("finish", () => {
+    const route = req.route ? req.baseUrl + req.route.path : res.statusCode < 400 ? "static" : "unmatched";
+    metricHttpResponses.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+});
+
+// Serve static UI
+app.use(express.static("public", { maxAge: "5m" }));
+app.use(express.json({ limit: "256kb" }));
+
+app.get("/api/ping", (req, res) => {
+  res.json({ ok: true, ts: Date.now() });
+});
+
+app.get("/metrics", (req, res) => {
+  res.setHeader("content-type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(metrics.render());
+});
+
+app.get("/api/cache/stats", (req, res) => {
+  res.json({ ok: true, ...cache.stats(), ttls: CACHE_TTLS, defaultTtlMs: CACHE_TTL_MS });
+});
+
+// Minimal fallback lists (only used if ikea-availability-checker isn't available)
+const FALLBACK_STORES = {
+  // Perth is included as a sensible default because it's commonly used in examples.
+  // Full AU store list comes from the ikea-availability-checker dependency.
+  au: [{ id: "556", name: "Perth", slug: "perth" }]
+};
+
+// Markets the checker doesn't cover (e.g. NZ) get their store list from the CIA StoresList
+// of a widely ranged article, cached for a day.
+const STORE_PROBE_ARTICLE = normArticle(process.env.STORE_PROBE_ARTICLE || "00263850"); // BILLY bookcase
+const DISCOVERED_STORES_TTL_MS = 24 * 60 * 60 * 1000;
+const discoveredStores = new Map(); // market -> { expires, stores }
+
+function storeRecord({ id, name, countryCode }) {
+  const m = marketConfig(countryCode);
+  const slug = slugifyStoreName(name);
+  return {
+    id,
+    name,
+    slug,
+    countryCode,
+    country: MARKETS[countryCode]?.name,
+    url: `https://www.ikea.com/${countryCode}/${m.langs[0]}/stores/${slug}/`
+  };
+}
+
+function listStores(countryCode) {
+  let stores = [];
+  if (ikeaChecker?.stores?.findByCountryCode) {
+    stores = ikeaChecker.stores.findByCountryCode(countryCode) || [];
+    stores = stores
+      .map((s) => {
+        const id = String(s?.buCode ?? s?.storeId ?? s?.id ?? "").trim();
+        const name = String(s?.name ?? "").trim();
+        if (!id || !name) return null;
+        return {
+          ...storeRecord({ id, name, countryCode: String(s?.countryCode ?? countryCode).toLowerCase() }),
+          country: s?.country ?? MARKETS[countryCode]?.name
+        };
+      })
+      .filter(Boolean);
+  } else {
+    stores = FALLBACK_STORES[countryCode] ?? [];
+  }
+
+  if (!stores.length) {
+    const d = discoveredStores.get(countryCode);
+    if (d && Date.now() < d.expires) stores = d.stores;
+  }
+
+  // Keep only stores for the requested country (in case the checker returns more)
+  stores = stores.filter((s) => !s.countryCode || String(s.countryCode).toLowerCase() === countryCode);
+
+  stores.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  return stores;
+}
+
+// listStores(), falling back to CIA discovery when the static sources know no stores for the market
+async function loadStores(countryCode) {
+  const known = listStores(countryCode);
+  if (known.length || !MARKETS[countryCode]) return known;
+
+  const ciaData = await upstream.json(ciaStoresListUrl({ market: countryCode, article: STORE_PROBE_ARTICLE }), { profile: "cia", kind: "cia" });
+  const stores = summarizeCiaStores(ciaData, { article: STORE_PROBE_ARTICLE })
+    .map((s) => storeRecord({ id: s.id, name: s.name || `Store ${s.id}`, countryCode }));
+  discoveredStores.set(countryCode, { expires: Date.now() + DISCOVERED_STORES_TTL_MS, stores });
+  return listStores(countryCode);
+}
+
+// ---- Store details (checker data + the scraped store page) ----
+
+// Services detected from the section headings of a store page
+const STORE_SERVICE_PATTERNS = {
+  restaurant: /\brestaurant\b/i,
+  bistro: /\bbistro\b/i,
+  swedishFoodMarket: /swedish food (market|shop)/i,
+  clickCollect: /click\s*(&|and|\+)\s*collect/i,
+  asIs: /\bas[- ]is\b|circular hub/i,
+  smaland: /sm[åa]land/i,
+  planning: /planning (studio|service|appointment)/i
+};
+
+// The checker's record for a store id; ids are only unique per country, so pass the market when known
+function checkerStore(id, market = null) {
+  try {
+    const s = ikeaChecker?.stores?.findOneById?.(String(id)) ?? null;
+    if (s && market && String(s.countryCode).toLowerCase() !== market) return null;
+    return s;
+  } catch {
+    return null;
+  }
+}
+
+// The checker stores GeoJSON-style [lon, lat]
+function checkerCoordinates(checker) {
+  if (!Array.isArray(checker?.coordinates)) return null;
+  const [lon, lat] = checker.coordinates.map(toFiniteNumber);
+  return lat !== null && lon !== null ? { lat, lon } : null;
+}
+
+// { lat, lon } of a store without fetching anything when the checker knows it, else from its store page
+async function storeCoordinates(id, market) {
+  const known = checkerCoordinates(checkerStore(id, market));
+  if (known) return known;
+  try {
+    return (await getStoreDetails(id, { market }))?.coordinates ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// schema.org nodes from the page's <script type="application/ld+json"> blocks (flattening @graph)
+function parseJsonLd(html) {
+  const out = [];
+  const re = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(String(html || "")))) {
+    try {
+      const stack = [JSON.parse(m[1])];
+      while (stack.length) {
+        const n = stack.pop();
+        if (Array.isArray(n)) stack.push(...n);
+        else if (n && typeof n === "object") {
+          out.push(n);
+          if (n["@graph"]) stack.push(n["@graph"]);
+        }
+      }
+    } catch {
+      // ignore broken blocks
+    }
+  }
+  return out;
+}
+
+/**
+ * Address, coordinates, phone and services from a store page. Prefers the schema.org Store node IKEA
+ * embeds as JSON-LD and falls back to <address> / tel: links. Missing values are null.
+ */
+function parseStoreDetailsFromHtml(html) {
+  const page = String(html || "");
+  const node = parseJsonLd(page).find((n) => n.address || n.geo) || {};
+  const a = typeof node.address === "object" && node.address ? node.address : null;
+
+  const txt = (v) => (v === null || v === undefined ? null : decodeHtmlEntities(String(v)) || null);
+
+  let address = null;
+  if (a) {
+    const country = typeof a.addressCountry === "object" ? a.addressCountry?.name : a.addressCountry;
+    address = {
+      street: txt(a.streetAddress),
+      city: txt(a.addressLocality),
+      region: txt(a.addressRegion),
+      postcode: txt(a.postalCode),
+      country: txt(country)
+    };
+    address.text = [address.street, address.city, [address.region, address.postcode].filter(Boolean).join(" ")].filter(Boolean).join(", ") || null;
+  } else {
+    const am = page.match(/<address[^>]*>([\s\S]*?)<\/address>/i);
+    const text = am ? decodeHtmlEntities(stripHtml(am[1].replace(/<br\s*\/?>/gi, ", "))).replace(/\s*,\s*(,\s*)+/g, ", ") : "";
+    if (text) address = { street: null, city: null, region: null, postcode: null, country: null, text };
+  }
+
+  const lat = toFiniteNumber(node.geo?.latitude);
+  const lon = toFiniteNumber(node.geo?.longitude);
+  const tel = page.match(/href=["']tel:([^"']+)["']/i);
+  const phone = node.telephone ? txt(node.telephone) : tel ? decodeURIComponent(tel[1]).trim() : null;
+
+  const headings = [];
+  const hre = /<h[2-4][^>]*>([\s\S]*?)<\/h[2-4]>/gi;
+  let m;
+  while ((m = hre.exec(page))) headings.push(decodeHtmlEntities(stripHtml(m[1])));
+  const services = Object.fromEntries(
+    Object.entries(STORE_SERVICE_PATTERNS).map(([k, re]) => [k, headings.some((h) => re.test(h))])
+  );
+
+  return {
+    name: typeof node.name === "string" ? txt(node.name) : null,
+    address,
+    coordinates: lat !== null && lon !== null ? { lat, lon } : null,
+    phone,
+    services
+  };
+}
+
+/**
+ * Full record for one store:
+ *   { id, name, slug, countryCode, country, url, timeZone, address, coordinates: { lat, lon }, phone, services, sources }
+ * Coordinates come from ikea-availability-checker when it knows the store, otherwise from the store page.
+ * Only records whose store page could be read are cached (kind "storeDetails").
+ */
+async function getStoreDetails(id, { market = DEFAULT_MARKET, lang = null } = {}) {
+  const m = marketConfig(market);
+  const l = lang || m.langs[0];
+  const key = `store-details:${m.code}/${l}/${id}`;
+  const hit = await cache.get(key);
+  if (hit) return hit;
+
+  const base = (await loadStores(m.code)).find((s) => String(s.id) === String(id));
+  if (!base) return null;
+  const checker = checkerStore(id, m.code);
+  const checkerCoords = checkerCoordinates(checker);
+
+  const url = `https://www.ikea.com/${m.code}/${l}/stores/${base.slug}/`;
+  const page = await settle(upstream.text(url, { kind: "storePage" }));
+  const details = page.ok ? parseStoreDetailsFromHtml(page.data) : null;
+
+  const value = {
+    ...base,
+    url,
+    timeZone: storeTimeZone(base.id, m.code),
+    address: details?.address ?? null,
+    coordinates: checkerCoords ?? details?.coordinates ?? null,
+    phone: details?.phone ?? null,
+    services: details?.services ?? null,
+    sources: {
+      checker: { ok: Boolean(checker) },
+      storePage: sourceStatus(page, url)
+    }
+  };
+  if (page.ok) await cache.set(key, value, { kind: "storeDetails" });
+  return value;
+}
+
+/**
+ * Markets + languages for the UI dropdowns
+ * GET /api/markets
+ */
+app.get("/api/markets", (req, res) => {
+  res.json({ ok: true, defaultMarket: DEFAULT_MARKET, markets: Object.values(MARKETS) });
+});
+
+/**
+ * Store list for dropdown
+ * GET /api/stores?country=au
+ */
+app.get("/api/stores", async (req, res) => {
+  const countryCode = String(req.query.country || DEFAULT_MARKET).toLowerCase();
+  const country = MARKETS[countryCode]?.name;
+
+  try {
+    const stores = await loadStores(countryCode);
+    res.json({ ok: true, countryCode, country, stores });
+  } catch (e) {
+    res.json({ ok: true, countryCode, country, stores: FALLBACK_STORES[countryCode] ?? [] });
+  }
+});
+
+/**
+ * One store with address, coordinates, timezone, phone and services
+ * GET /api/stores/556?market=au
+ */
+app.get("/api/stores/:id", async (req, res) => {
+  try {
+    const id = String(req.params.id || "").trim();
+    const guess = String(checkerStore(id)?.countryCode || "").toLowerCase();
+    const market = String(req.query.market || (MARKETS[guess] ? guess : DEFAULT_MARKET)).toLowerCase();
+    const lang = req.query.lang ? String(req.query.lang).toLowerCase() : null;
+    if (!MARKETS[market]) return res.status(400).json({ ok: false, error: `Unsupported market: ${market}` });
+    const store = await getStoreDetails(id, { market, lang });
+    if (!store) return res.status(404).json({ ok: false, error: `Unknown store ${id} in market ${market}` });
+    res.json({ ok: true, store });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ ok: false, ...errorBody(e) });
+  }
+});
+
+/**
+ * Store opening hours (scraped from https://www.ikea.com/<market>/<lang>/stores/<slug>/)
+ * GET /api/store-hours/perth?market=au&lang=en
+ */
+app.get("/api/store-hours/:slug", async (req, res) => {
+  try {
+    const slug = slugifyStoreName(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "Missing store slug" });
+    const market = String(req.query.market || DEFAULT_MARKET).toLowerCase();
+    const lang = req.query.lang ? String(req.query.lang).toLowerCase() : null;
+    const data = await getStoreHours(slug, { market, lang });
+    res.json({ ok: true, ...data, days: scheduleDays(data.schedule) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+/**
+ * Is the store open right now, and when does that next change?
+ * GET /api/store-hours/perth/status?market=au  (at=<ISO timestamp> evaluates another instant)
+ */
+app.get("/api/store-hours/:slug/status", async (req, res) => {
+  try {
+    const slug = slugifyStoreName(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "Missing store slug" });
+    const market = String(req.query.market || DEFAULT_MARKET).toLowerCase();
+    const lang = req.query.lang ? String(req.query.lang).toLowerCase() : null;
+    const at = req.query.at ? new Date(String(req.query.at)) : new Date();
+    if (Number.isNaN(at.getTime())) return res.status(400).json({ error: "Invalid at (expected an ISO timestamp)" });
+
+    const { schedule, url } = await getStoreHours(slug, { market, lang });
+    const { open, nextChange } = scheduleStatus(schedule, at);
+    const [today] = scheduleDays(schedule, at, 1);
+    res.json({ ok: true, slug, market, url, timeZone: schedule.timeZone, at: toZonedIso(at, schedule.timeZone), open, nextChange, today });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
   }
+});
 
-  return result;
-}
+// Shared by /api/lookup and /api/v1/lookup; `shape` turns the merged result into the response body
+function lookupHandler(shape) {
+  return async (req, res) => {
+    try {
+      const market = String(req.query.market || DEFAULT_MARKET).toLowerCase();
+      const lang = String(req.query.lang || "en").toLowerCase();
+      const store = String(req.query.store || DEFAULT_STORE);
+      const article = normArticle(req.query.article);
 
-// Serve static UI
-app.use(express.static("public", { maxAge: "5m" }));
+      if (!article) {
+        return res.status(400).json({ error: `Missing article. Example: ${req.path}?article=40492331` });
+      }
+      if (article.length !== 8) {
+        return res.status(400).json({ error: "article must be an 8-digit IKEA article number (dots allowed), e.g. 404.923.31" });
+      }
 
-app.get("/api/ping", (req, res) => {
-  res.json({ ok: true, ts: Date.now() });
-});
+      const result = await lookupMerged({ article, store, market, lang }, { partial: true });
+      res.json(shape(result));
+    } catch (e) {
+      res.status(errorStatus(e)).json(errorBody(e));
+    }
+  };
+}
 
-// Minimal AU fallback list (only used if ikea-availability-checker isn't available)
-const FALLBACK_AU_STORES = [
-  // Perth is included as a sensible default because it's commonly used in examples.
-  // Full AU store list comes from the ikea-availability-checker dependency.
-  { id: "556", name: "Perth", slug: "perth" }
-];
+/**
+ * GET /api/lookup?article=40492331&store=556&market=au&lang=en
+ * Unversioned: follows lookupMerged()'s shape. Scripts should use /api/v1/lookup.
+ */
+app.get("/api/lookup", lookupHandler((result) => result));
 
 /**
- * Store list for dropdown
- * GET /api/stores?country=au
+ * GET /api/v1/lookup?article=40492331&store=556&market=au&lang=en
+ * Stable v1 shape, documented in /api/openapi.json (see openapi.js).
  */
-app.get("/api/stores", (req, res) => {
-  const countryCode = String(req.query.country || "au").toLowerCase();
+app.get("/api/v1/lookup", lookupHandler(toLookupV1));
+
+app.get("/api/openapi.json", (req, res) => {
+  res.json(openapiDocument({ version: APP_VERSION }));
+});
 
+/**
+ * Batch lookup: one merged result per article/store pair.
+ * POST /api/lookup/batch
+ *   { "articles": ["40492331", "505.597.93"], "stores": ["556", "017"], "market": "au", "lang": "en" }
+ *
+ * Items run through a small worker pool (BATCH_CONCURRENCY) so a large batch doesn't
+ * fan out hundreds of scan-shop calls at once. Failures are reported per item.
+ */
+app.post("/api/lookup/batch", async (req, res) => {
   try {
-    let stores = [];
-    if (ikeaChecker?.stores?.findByCountryCode) {
-      stores = ikeaChecker.stores.findByCountryCode(countryCode) || [];
-      stores = stores
-        .map((s) => {
-          const id = String(s?.buCode ?? s?.storeId ?? s?.id ?? "").trim();
-          const name = String(s?.name ?? "").trim();
-          if (!id || !name) return null;
-          const slug = slugifyStoreName(name);
-          return {
-            id,
-            name,
-            slug,
-            countryCode: String(s?.countryCode ?? countryCode).toLowerCase(),
-            country: s?.country ?? (countryCode === "au" ? "Australia" : undefined),
-            url: `https://www.ikea.com/${countryCode}/en/stores/${slug}/`
-          };
-        })
-        .filter(Boolean);
-    } else {
-      stores = FALLBACK_AU_STORES;
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const market = String(body.market || DEFAULT_MARKET).toLowerCase();
+    const lang = String(body.lang || "en").toLowerCase();
+
+    const articles = uniqueList(toList(body.articles).map(normArticle));
+    const storesIn = uniqueList(toList(body.stores).map((s) => String(s).trim()));
+    const stores = storesIn.length ? storesIn : [DEFAULT_STORE];
+
+    if (!articles.length) {
+      return res.status(400).json({ error: 'Missing articles. Example: { "articles": ["40492331"], "stores": ["556"] }' });
+    }
+
+    const pairs = [];
+    for (const article of articles) {
+      for (const store of stores) pairs.push({ article, store });
+    }
+
+    if (pairs.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({ error: `Too many items (${pairs.length}). Max ${BATCH_MAX_ITEMS} article/store pairs per batch.` });
     }
 
-    // If we're in AU, keep only AU stores (in case the checker returns more)
-    if (countryCode === "au") stores = stores.filter((s) => String(s.countryCode || "").toLowerCase() === "au");
+    const items = await mapWithConcurrency(pairs, BATCH_CONCURRENCY, async ({ article, store }) => {
+      try {
+        const result = await lookupMerged({ article, store, market, lang }, { partial: true });
+        return { article, store, ok: true, storeClosed: Boolean(result.storeClosed), result };
+      } catch (e) {
+        return { article, store, ok: false, storeClosed: false, ...errorBody(e) };
+      }
+    });
 
-    stores.sort((a, b) => String(a.name).localeCompare(String(b.name)));
-    res.json({ ok: true, countryCode, country: countryCode === "au" ? "Australia" : undefined, stores });
+    res.json({
+      ok: true,
+      market,
+      lang,
+      count: items.length,
+      okCount: items.filter((i) => i.ok).length,
+      errorCount: items.filter((i) => !i.ok).length,
+      storeClosedCount: items.filter((i) => i.storeClosed).length,
+      items
+    });
   } catch (e) {
-    res.json({ ok: true, countryCode, country: countryCode === "au" ? "Australia" : undefined, stores: FALLBACK_AU_STORES });
+    res.status(500).json({ error: e?.message || String(e) });
   }
 });
 
+// ---- CSV bulk lookups (see csv.js) ----
+const CSV_EXPORT_COLUMNS = [
+  "line", "article", "store", "qty_wanted", "title", "description", "currency",
+  "online_price", "store_price", "price_diff", "in_store_qty", "enough", "stock_status",
+  "click_collect", "home_delivery", "restock_earliest", "restock_latest",
+  "floor", "department", "code", "pickup_area", "aisle", "bin", "item_location",
+  "store_closed", "error"
+];
+
+// One export row. price_diff is online − in-store, like the UI; in_store_qty is complete sets for a combination.
+function csvExportRow(input, result, error = null) {
+  const online = result?.prices?.online?.raw ?? null;
+  const store = result?.prices?.store?.raw ?? null;
+  const qty = alertQty(result);
+  const computed = result?.cia?.computed;
+  const restock = computed?.inStore?.primaryRestock ?? null;
+  const enough = !result ? null
+    : typeof qty === "number" ? qty >= input.qty
+    : result.combination ? (result.combination.inStock === false ? false : null)
+    : stockCovers(result.stock, input.qty);
+
+  return {
+    line: input.line,
+    article: input.article,
+    store: input.store,
+    qty_wanted: input.qty,
+    title: result?.product?.title ?? null,
+    description: result?.product?.description ?? null,
+    currency: result?.currency ?? null,
+    online_price: online,
+    store_price: store,
+    price_diff: typeof online === "number" && typeof store === "number" ? Math.round((online - store) * 100) / 100 : null,
+    in_store_qty: qty,
+    enough,
+    stock_status: result?.stock?.status ?? null,
+    click_collect: computed?.clickCollect?.status ?? null,
+    home_delivery: computed?.homeDelivery?.status ?? null,
+    restock_earliest: restock?.earliestDate ?? null,
+    restock_latest: restock?.latestDate ?? null,
+    floor: result?.location?.floor ?? null,
+    department: result?.location?.department ?? null,
+    code: result?.location?.code ?? null,
+    pickup_area: result?.location?.pickupArea ?? null,
+    aisle: result?.location?.aisle ?? null,
+    bin: result?.location?.bin ?? null,
+    item_location: result?.location?.itemLocationTextText ?? null,
+    store_closed: result ? Boolean(result.storeClosed) : null,
+    error
+  };
+}
+
+// Normalise one CSV input row; { error } rows are exported as-is without a lookup
+function csvLookupInput(row, defaultStore) {
+  const article = normArticle(row.article);
+  const store = String(row.store ?? defaultStore).trim();
+  const qty = row.qty === null ? 1 : Number(row.qty);
+  const input = { line: row.line, article: article || row.article, store, qty: Number.isInteger(qty) ? qty : row.qty };
+  if (article.length !== 8) return { ...input, error: "article must be an 8-digit IKEA article number" };
+  if (!/^\d+$/.test(store)) return { ...input, error: "store must be a numeric store id" };
+  if (!Number.isInteger(qty) || qty < 1) return { ...input, error: "qty must be a whole number >= 1" };
+  return input;
+}
+
 /**
- * Store opening hours (scraped from https://www.ikea.com/au/en/stores/<slug>/)
- * GET /api/store-hours/perth
+ * Bulk lookup from a CSV of articles, with optional store and qty columns.
+ * POST /api/lookup/csv?store=556&market=au&lang=en   body: text/csv (or JSON { "csv": "..." })
+ * Returns a CSV of merged results (CSV_EXPORT_COLUMNS), one row per input row; ?format=json returns
+ * { columns, rows } instead. Rows that can't be looked up keep their line number and carry `error`.
  */
-app.get("/api/store-hours/:slug", async (req, res) => {
+app.post("/api/lookup/csv", express.text({ type: ["text/csv", "text/plain", "application/csv"], limit: "1mb" }), async (req, res) => {
   try {
-    const slug = slugifyStoreName(req.params.slug);
-    if (!slug) return res.status(400).json({ error: "Missing store slug" });
-    const data = await getStoreHours(slug);
-    res.json({ ok: true, ...data });
+    const market = String(req.query.market || DEFAULT_MARKET).toLowerCase();
+    const lang = String(req.query.lang || "en").toLowerCase();
+    const defaultStore = String(req.query.store || DEFAULT_STORE);
+    if (!MARKETS[market]) {
+      return res.status(400).json({ error: `Unsupported market "${market}". Use one of: ${Object.keys(MARKETS).join(", ")}` });
+    }
+
+    const text = typeof req.body === "string" ? req.body : req.body?.csv;
+    const inputs = csvLookupRows(parseCsv(text)).map((r) => csvLookupInput(r, defaultStore));
+    if (!inputs.length) {
+      return res.status(400).json({ error: "Empty CSV. Send one article per line, optionally with store and qty columns (article,store,qty)." });
+    }
+    if (inputs.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({ error: `Too many rows (${inputs.length}). Max ${BATCH_MAX_ITEMS} per upload.` });
+    }
+
+    const rows = await mapWithConcurrency(inputs, BATCH_CONCURRENCY, async (input) => {
+      if (input.error) return csvExportRow(input, null, input.error);
+      try {
+        const result = await lookupMerged({ article: input.article, store: input.store, market, lang }, { partial: true });
+        return csvExportRow(input, result);
+      } catch (e) {
+        return csvExportRow(input, null, e?.message || String(e));
+      }
+    });
+
+    if (String(req.query.format || "").toLowerCase() === "json") {
+      return res.json({ ok: true, market, lang, count: rows.length, errorCount: rows.filter((r) => r.error).length, columns: CSV_EXPORT_COLUMNS, rows });
+    }
+    res.setHeader("content-type", "text/csv; charset=utf-8");
+    res.setHeader("content-disposition", `attachment; filename="ikea-lookup-${market}-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(toCsv(rows, CSV_EXPORT_COLUMNS));
   } catch (e) {
-    res.status(500).json({ ok: false, error: e?.message || String(e) });
+    res.status(500).json({ error: e?.message || String(e) });
   }
 });
 
 /**
- * GET /api/lookup?article=40492331&store=556&market=au&lang=en
+ * In-store stock for one article across every store in the market (from the CIA StoresList).
+ * GET /api/compare?article=40492331&market=au
  */
-app.get("/api/lookup", async (req, res) => {
+app.get("/api/compare", async (req, res) => {
   try {
-    const market = String(req.query.market || "au").toLowerCase();
-    const lang = String(req.query.lang || "en").toLowerCase();
-    const store = String(req.query.store || DEFAULT_STORE);
+    const market = String(req.query.market || DEFAULT_MARKET).toLowerCase();
     const article = normArticle(req.query.article);
 
     if (!article) {
-      return res.status(400).json({ error: "Missing article. Example: /api/lookup?article=40492331" });
+      return res.status(400).json({ error: "Missing article. Example: /api/compare?article=40492331" });
     }
 
-    const result = await lookupMerged({ article, store, market, lang });
+    const url = ciaStoresListUrl({ market, article });
+    const ciaData = await upstream.json(url, { profile: "cia", kind: "cia" });
+    const stores = summarizeCiaStores(ciaData, { article });
 
-    // CIA availabilities (home delivery / click & collect / restocks / range reason codes)
+    // CIA doesn't always include store names; fill them in from the store list
+    let known = [];
     try {
-      const ciaRaw = await fetchCiaAvailabilities({ itemNo: article, countryCode: market, unitType: "ru" });
-      result.cia = parseCiaForSelectedStore(ciaRaw, { itemNo: article, storeCode: store });
-    } catch (e) {
-      result.cia = null;
-      result.ciaError = e?.message || String(e);
+      known = await loadStores(market);
+    } catch {
+      known = [];
+    }
+    const byId = new Map(known.map((s) => [String(s.id), s]));
+    for (const s of stores) {
+      const k = byId.get(s.id);
+      if (!s.name && k) s.name = k.name;
+      s.slug = k?.slug ?? slugifyStoreName(s.name);
     }
 
-    res.json(result);
+    res.json({ ok: true, article, market, url, count: stores.length, stores });
   } catch (e) {
-    res.status(500).json({ error: e?.message || String(e) });
+    res.status(errorStatus(e)).json(errorBody(e));
+  }
+});
+
+/**
+ * Product search by name (for typeahead in the article field)
+ * GET /api/search?q=billy%20bookcase%20white&market=au&lang=en&limit=8
+ */
+app.get("/api/search", async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim().replace(/\s+/g, " ");
+    const market = String(req.query.market || DEFAULT_MARKET).toLowerCase();
+    const m = marketConfig(market);
+    const lang = String(req.query.lang || m.langs[0]).toLowerCase();
+    const limit = Math.min(24, Math.max(1, Number(req.query.limit) || 8));
+
+    if (q.length < 2) return res.status(400).json({ error: "Query too short. Example: /api/search?q=billy" });
+    if (q.length > 100) return res.status(400).json({ error: "Query too long (max 100 characters)" });
+
+    // Always request a full page so different limits share one cached upstream response
+    const url = searchUrl({ market: m.code, lang, q: q.toLowerCase(), size: 24 });
+    const data = await upstream.json(url, { kind: "search" });
+    const results = summarizeSearch(data).slice(0, limit);
+    res.json({ ok: true, q, market: m.code, lang, count: results.length, results });
+  } catch (e) {
+    res.status(errorStatus(e)).json(errorBody(e));
+  }
+});
+
+/**
+ * Stores with an article in stock, nearest first.
+ * GET /api/nearby?article=40492331&market=au&postcode=6018   (or lat=-31.95&lon=115.86 instead of postcode)
+ *   minQty=N   in-stock threshold (default 1); all=1 also lists stores below it
+ *   limit=N    default 10
+ * Postcodes are resolved offline via the bundled centroid table (geo.js).
+ */
+app.get("/api/nearby", async (req, res) => {
+  try {
+    const market = String(req.query.market || DEFAULT_MARKET).toLowerCase();
+    const article = normArticle(req.query.article);
+    if (!article) return res.status(400).json({ error: "Missing article. Example: /api/nearby?article=40492331&postcode=6018" });
+    if (!MARKETS[market]) return res.status(400).json({ error: `Unsupported market: ${market}` });
+
+    let origin = null;
+    if (req.query.lat !== undefined || req.query.lon !== undefined) {
+      const lat = toFiniteNumber(req.query.lat);
+      const lon = toFiniteNumber(req.query.lon);
+      if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return res.status(400).json({ error: "Invalid lat/lon" });
+      }
+      origin = { lat, lon, postcode: null };
+    } else if (req.query.postcode) {
+      const postcode = String(req.query.postcode).trim();
+      const c = postcodeCentroid(market, postcode);
+      if (!c) return res.status(400).json({ error: `Unknown postcode for market ${market}: ${postcode}` });
+      origin = { lat: c.lat, lon: c.lon, postcode };
+    } else {
+      return res.status(400).json({ error: "Pass postcode, or lat and lon" });
+    }
+
+    const minQty = Math.max(1, Number(req.query.minQty) || 1);
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 10));
+    const all = req.query.all === "1" || req.query.all === "true";
+
+    const url = ciaStoresListUrl({ market, article });
+    const ciaData = await upstream.json(url, { profile: "cia", kind: "cia" });
+    const known = await loadStores(market).catch(() => []);
+    const byId = new Map(known.map((s) => [String(s.id), s]));
+
+    // Only the listed stores need coordinates (each may be a store page fetch), a few at a time
+    const candidates = summarizeCiaStores(ciaData, { article })
+      .map((s) => ({ ...s, inStock: s.inRange !== false && (s.quantity ?? 0) >= minQty }))
+      .filter((s) => all || s.inStock);
+    const stores = await mapWithConcurrency(candidates, BATCH_CONCURRENCY, async ({ inStock, ...s }) => {
+      const k = byId.get(s.id);
+      const coordinates = await storeCoordinates(s.id, market);
+      return {
+        ...s,
+        name: s.name || k?.name || null,
+        slug: k?.slug ?? slugifyStoreName(s.name),
+        coordinates,
+        distanceKm: coordinates ? Math.round(distanceKm(origin, coordinates) * 10) / 10 : null,
+        inStock
+      };
+    });
+
+    const list = stores
+      .sort((a, b) => (a.distanceKm ?? Number.MAX_VALUE) - (b.distanceKm ?? Number.MAX_VALUE))
+      .slice(0, limit);
+
+    res.json({ ok: true, article, market, origin, minQty, count: list.length, stores: list });
+  } catch (e) {
+    res.status(errorStatus(e)).json(errorBody(e));
+  }
+});
+
+/**
+ * Recorded price/stock history for one store/article (oldest first).
+ * GET /api/history/556/40492331?from=2026-01-01&to=2026-02-01&limit=500&market=au&lang=en
+ * from/to accept epoch ms or a date string; `to` given as a bare date includes that whole day.
+ */
+app.get("/api/history/:store/:article", (req, res) => {
+  try {
+    const market = String(req.query.market || DEFAULT_MARKET).toLowerCase();
+    const lang = String(req.query.lang || "en").toLowerCase();
+    const store = String(req.params.store || "").trim();
+    const article = normArticle(req.params.article);
+
+    if (!store || !article) {
+      return res.status(400).json({ error: "Missing store or article. Example: /api/history/556/40492331" });
+    }
+
+    const from = parseTimeParam(req.query.from);
+    let to = parseTimeParam(req.query.to);
+    if (to !== null && /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.to).trim())) to += 24 * 60 * 60 * 1000 - 1;
+    const limit = Math.max(0, Math.floor(Number(req.query.limit) || 0)) || null;
+
+    const entries = readHistory({ market, lang, store, article }, { from, to, limit });
+    res.json({ ok: true, market, lang, store, article, from, to, count: entries.length, entries });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+/**
+ * Watchlist CRUD
+ *   GET    /api/watches
+ *   POST   /api/watches            { "article": "40492331", "store": "556", "intervalMinutes": 30, "label": "Billy" }
+ *   GET    /api/watches/:id
+ *   PATCH  /api/watches/:id        { "enabled": false } / { "intervalMinutes": 60 } / { "label": "..." }
+ *   DELETE /api/watches/:id
+ *   POST   /api/watches/:id/run    run now (ignores store hours)
+ */
+app.get("/api/watches", (req, res) => {
+  res.json({ ok: true, defaultIntervalMs: WATCH_INTERVAL_MS, count: watches.length, watches });
+});
+
+app.post("/api/watches", (req, res) => {
+  const { error, value } = parseWatchInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  const rules = [];
+  for (const r of Array.isArray(req.body?.rules) ? req.body.rules : []) {
+    const parsed = parseRuleInput(r);
+    if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+    rules.push(parsed.value);
+  }
+
+  const dupe = watches.find((w) =>
+    w.article === value.article && w.store === value.store && w.market === value.market && w.lang === value.lang
+  );
+  if (dupe) return res.status(409).json({ ok: false, error: "Watch already exists", watch: dupe });
+
+  const now = Date.now();
+  const watch = {
+    id: crypto.randomUUID(),
+    label: null,
+    intervalMs: null,
+    ...value,
+    rules,
+    createdAt: now,
+    updatedAt: now,
+    lastRunAt: null,
+    lastOkAt: null,
+    lastSkippedAt: null,
+    lastSkipReason: null,
+    lastError: null,
+    last: null,
+    observed: null
+  };
+  watches.push(watch);
+  saveWatches();
+  res.status(201).json({ ok: true, watch });
+});
+
+app.get("/api/watches/:id", (req, res) => {
+  const watch = findWatch(req.params.id);
+  if (!watch) return res.status(404).json({ ok: false, error: "Watch not found" });
+  res.json({ ok: true, watch });
+});
+
+app.patch("/api/watches/:id", (req, res) => {
+  const watch = findWatch(req.params.id);
+  if (!watch) return res.status(404).json({ ok: false, error: "Watch not found" });
+
+  const { error, value } = parseWatchInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ ok: false, error });
+
+  Object.assign(watch, value, { updatedAt: Date.now() });
+  saveWatches();
+  res.json({ ok: true, watch });
+});
+
+app.delete("/api/watches/:id", (req, res) => {
+  const watch = findWatch(req.params.id);
+  if (!watch) return res.status(404).json({ ok: false, error: "Watch not found" });
+
+  watches = watches.filter((w) => w !== watch);
+  saveWatches();
+  res.json({ ok: true, deleted: watch.id });
+});
+
+app.post("/api/watches/:id/run", async (req, res) => {
+  const watch = findWatch(req.params.id);
+  if (!watch) return res.status(404).json({ ok: false, error: "Watch not found" });
+
+  const run = await runWatch(watch, { force: true });
+  saveWatches();
+  res.json({ ok: !run.error, error: run.error ?? null, alerts: run.alerts ?? [], watch });
+});
+
+/**
+ * Alert rules on a watch
+ *   POST   /api/watches/:id/rules          { "type": "price_below", "price": 50 }
+ *                                          { "type": "price_drop_pct", "percent": 10 }
+ *                                          { "type": "back_in_stock" | "restock_date_changed" | "cash_carry_out_of_range" }
+ *   PATCH  /api/watches/:id/rules/:ruleId  { "enabled": false }
+ *   DELETE /api/watches/:id/rules/:ruleId
+ */
+app.post("/api/watches/:id/rules", (req, res) => {
+  const watch = findWatch(req.params.id);
+  if (!watch) return res.status(404).json({ ok: false, error: "Watch not found" });
+
+  const { error, value } = parseRuleInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+
+  watch.rules = [...(Array.isArray(watch.rules) ? watch.rules : []), value];
+  watch.updatedAt = Date.now();
+  saveWatches();
+  res.status(201).json({ ok: true, rule: value, watch });
+});
+
+app.patch("/api/watches/:id/rules/:ruleId", (req, res) => {
+  const watch = findWatch(req.params.id);
+  const rule = watch?.rules?.find((r) => r.id === req.params.ruleId) ?? null;
+  if (!rule) return res.status(404).json({ ok: false, error: "Rule not found" });
+
+  if (req.body?.enabled !== undefined) rule.enabled = Boolean(req.body.enabled);
+  watch.updatedAt = Date.now();
+  saveWatches();
+  res.json({ ok: true, rule, watch });
+});
+
+app.delete("/api/watches/:id/rules/:ruleId", (req, res) => {
+  const watch = findWatch(req.params.id);
+  const rule = watch?.rules?.find((r) => r.id === req.params.ruleId) ?? null;
+  if (!rule) return res.status(404).json({ ok: false, error: "Rule not found" });
+
+  watch.rules = watch.rules.filter((r) => r !== rule);
+  watch.updatedAt = Date.now();
+  saveWatches();
+  res.json({ ok: true, deleted: rule.id, watch });
+});
+
+/**
+ * Notification channels (webhook | ntfy | gotify | email)
+ *   GET    /api/notify/channels            (secrets masked; env channels are read-only)
+ *   POST   /api/notify/channels            { "type": "ntfy", "name": "phone", "config": { "url": "https://ntfy.sh/my-topic" } }
+ *   PATCH  /api/notify/channels/:id        { "enabled": false } / { "config": { ... } } / { "template": { "title": "...", "body": "..." } }
+ *   DELETE /api/notify/channels/:id
+ *   POST   /api/notify/channels/:id/test   send a sample message
+ */
+app.get("/api/notify/channels", (req, res) => {
+  res.json({ ok: true, channels: notifier.list() });
+});
+
+app.post("/api/notify/channels", (req, res) => {
+  const { error, channel } = notifier.add(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  res.status(201).json({ ok: true, channel });
+});
+
+app.patch("/api/notify/channels/:id", (req, res) => {
+  const { error, notFound, channel } = notifier.update(req.params.id, req.body);
+  if (error) return res.status(notFound ? 404 : 400).json({ ok: false, error });
+  res.json({ ok: true, channel });
+});
+
+app.delete("/api/notify/channels/:id", (req, res) => {
+  if (!notifier.remove(req.params.id)) return res.status(404).json({ ok: false, error: "Channel not found" });
+  res.json({ ok: true, deleted: req.params.id });
+});
+
+app.post("/api/notify/channels/:id/test", async (req, res) => {
+  const store = String(req.body?.store || DEFAULT_STORE);
+  const article = normArticle(req.body?.article) || "40492331";
+  const ctx = alertContext({ store, article, market: DEFAULT_MARKET }, { product: { title: "Test product" } });
+  const result = await notifier.test(req.params.id, { ...ctx, type: "test" });
+  if (!result) return res.status(404).json({ ok: false, error: "Channel not found" });
+  res.status(result.ok ? 200 : 502).json(result);
+});
+
+/**
+ * Fired alerts, newest first
+ * GET /api/alerts?watch=<id>&limit=100
+ */
+app.get("/api/alerts", (req, res) => {
+  try {
+    const watchId = req.query.watch ? String(req.query.watch) : null;
+    const limit = Math.min(1000, Math.max(1, Math.floor(Number(req.query.limit) || 100)));
+    const alerts = readAlerts({ watchId, limit });
+    res.json({ ok: true, count: alerts.length, alerts });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+/**
+ * Shopping lists
+ *   GET    /api/lists
+ *   POST   /api/lists                          { "name": "Saturday", "store": "556", "market": "au", "items": [{ "article": "40492331", "qty": 2 }] }
+ *   GET    /api/lists/:id
+ *   PATCH  /api/lists/:id                      { "name": "...", "store": "017", "items": [...] } (items replaces the list)
+ *   DELETE /api/lists/:id
+ *   POST   /api/lists/:id/items                { "article": "505.597.93", "qty": 1 } (adds to an existing qty)
+ *   PATCH  /api/lists/:id/items/:article       { "qty": 3 }
+ *   DELETE /api/lists/:id/items/:article
+ *   GET    /api/lists/:id/picklist             grouped pick list in walking order
+ *   GET    /lists/:id/print                    the same, as a printable page
+ */
+function sendListResult(res, { error, notFound, list }, status = 200) {
+  if (error) return res.status(notFound ? 404 : 400).json({ ok: false, error });
+  res.status(status).json({ ok: true, list });
+}
+
+app.get("/api/lists", (req, res) => {
+  const lists = shoppingLists.list();
+  res.json({ ok: true, count: lists.length, lists });
+});
+
+app.post("/api/lists", (req, res) => {
+  sendListResult(res, shoppingLists.add(req.body), 201);
+});
+
+app.get("/api/lists/:id", (req, res) => {
+  const list = shoppingLists.get(req.params.id);
+  if (!list) return res.status(404).json({ ok: false, error: "List not found" });
+  res.json({ ok: true, list });
+});
+
+app.patch("/api/lists/:id", (req, res) => {
+  sendListResult(res, shoppingLists.update(req.params.id, req.body));
+});
+
+app.delete("/api/lists/:id", (req, res) => {
+  if (!shoppingLists.remove(req.params.id)) return res.status(404).json({ ok: false, error: "List not found" });
+  res.json({ ok: true, deleted: req.params.id });
+});
+
+app.post("/api/lists/:id/items", (req, res) => {
+  sendListResult(res, shoppingLists.addItem(req.params.id, req.body), 201);
+});
+
+app.patch("/api/lists/:id/items/:article", (req, res) => {
+  sendListResult(res, shoppingLists.setItemQty(req.params.id, req.params.article, req.body?.qty));
+});
+
+app.delete("/api/lists/:id/items/:article", (req, res) => {
+  sendListResult(res, shoppingLists.removeItem(req.params.id, req.params.article));
+});
+
+app.get("/api/lists/:id/picklist", async (req, res) => {
+  const list = shoppingLists.get(req.params.id);
+  if (!list) return res.status(404).json({ ok: false, error: "List not found" });
+  try {
+    res.json({ ok: true, ...(await buildListPickList(list)) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.get("/lists/:id/print", async (req, res) => {
+  const list = shoppingLists.get(req.params.id);
+  if (!list) return res.status(404).type("text/plain").send("List not found");
+  try {
+    res.setHeader("content-type", "text/html; charset=utf-8");
+    res.send(renderPickListHtml(await buildListPickList(list)));
+  } catch (e) {
+    res.status(500).type("text/plain").send(e?.message || String(e));
   }
 });
 
 // Build data for the Changedetection page with anti-spam behaviour on STORE_CLOSED
 async function getChangedetectionData(req, { store, article }) {
-  const market = String(req.query.market || "au").toLowerCase();
+  const market = String(req.query.market || DEFAULT_MARKET).toLowerCase();
   const lang = String(req.query.lang || "en").toLowerCase();
 
   const meta = { market, lang, store: String(store), article: String(article) };
 
   // lookupMerged already treats scan-shop STORE_CLOSED as non-fatal.
-  const data = await lookupMerged({ article, store, market, lang });
+  const [data, hours] = await Promise.all([
+    lookupMerged({ article, store, market, lang }),
+    storeHoursStatus({ store, market })
+  ]);
 
   const storePriceRaw = data?.prices?.store?.raw ?? null;
   const storePriceNum = toFiniteNumber(storePriceRaw);
   const qty = data?.stock?.qty ?? null;
-  const closedOrMissing = Boolean(data?.storeClosed) || storePriceNum === null;
+  // Outside trading hours scan-shop may still answer with odd data, so don't trust (or save) it
+  const closedByHours = CD_RESPECT_HOURS && hours.open === false;
+  const closedOrMissing = Boolean(data?.storeClosed) || closedByHours || storePriceNum === null;
 
   // If we have valid in-store data, persist it as the last-known-good snapshot.
   if (!closedOrMissing && storePriceNum !== null) {
@@ -912,7 +2630,7 @@ async function getChangedetectionData(req, { store, article }) {
         code: data?.location?.code ?? null
       }
     });
-    return { data, market, lang, closed: false, usedSnapshot: false };
+    return { data, market, lang, hours, closed: false, usedSnapshot: false };
   }
 
   // STORE_CLOSED or missing store price: optionally freeze values to the last good snapshot.
@@ -933,30 +2651,63 @@ async function getChangedetectionData(req, { store, article }) {
       if (snap?.location?.department && !data.location.department) data.location.department = snap.location.department;
       if (snap?.location?.code && !data.location.code) data.location.code = snap.location.code;
 
-      return { data, market, lang, closed: true, usedSnapshot: true };
+      return { data, market, lang, hours, closed: true, usedSnapshot: true };
     }
   }
 
-  return { data, market, lang, closed: true, usedSnapshot: false };
+  return { data, market, lang, hours, closed: true, usedSnapshot: false };
 }
 
-async function renderChangedetectionPage(req, res, { store, article, dataOverride = null }) {
-  const market = String(req.query.market || "au").toLowerCase();
-  const lang = String(req.query.lang || "en").toLowerCase();
+// ---- ChangeDetection page fields and formats ----
+// ?fields=in_stock,price,online_price picks which values appear (in that order), so a watch only
+// reacts to the signals it cares about. Without ?fields the page keeps its original layout.
+// ?format=html (default) | json | text | rss
+const CD_FIELDS = ["in_stock", "price", "quantity", "online_price", "price_diff", "click_collect", "home_delivery", "restock", "location"];
+const CD_DEFAULT_FIELDS = ["in_stock", "price", "quantity"];
+const CD_FORMATS = ["html", "json", "text", "rss"];
+
+function parseCdOptions(query) {
+  const format = String(query.format || "html").toLowerCase();
+  if (!CD_FORMATS.includes(format)) return { error: `format must be one of: ${CD_FORMATS.join(", ")}` };
+
+  if (query.fields === undefined || query.fields === "") return { format, fields: CD_DEFAULT_FIELDS, legacy: true };
+  const fields = uniqueList(toList(query.fields).map((f) => f.toLowerCase()));
+  const unknown = fields.filter((f) => !CD_FIELDS.includes(f));
+  if (unknown.length) return { error: `Unknown field(s): ${unknown.join(", ")}. Available: ${CD_FIELDS.join(", ")}` };
+  if (!fields.length) return { error: `fields must list at least one of: ${CD_FIELDS.join(", ")}` };
+  return { format, fields, legacy: false };
+}
 
-  const data = dataOverride ?? (await lookupMerged({ article, store, market, lang }));
+// Same wording as the UI's Click & Collect / Home delivery pills
+function cdOptionText(opt) {
+  if (!opt) return "—";
+  if (!opt.available) return "Unavailable";
+  const s = String(opt.status || "").toUpperCase();
+  if (s.includes("OUT")) return "Available (Out of stock)";
+  if (s.includes("LOW") || s.includes("MED")) return "Available (Low stock)";
+  return "Available";
+}
 
-  const title = data?.product?.title ?? `IKEA article ${article}`;
-  const desc = data?.product?.description ? ` — ${data.product.description}` : "";
-  const pageTitle = `${title}${desc}`;
+/**
+ * Every ChangeDetection field for one lookup result:
+ *   { id: { label, text, value, pre?, metaHtml? } }
+ * text is what the page shows, value the JSON value, pre the text used in cd_pre / text / rss.
+ */
+function buildCdFields(data, { market }) {
+  // CIA in-store view fills gaps when scan-shop/availability didn't say
+  const ciaInStore = data?.cia?.computed?.inStore ?? null;
+  // For a combination: complete sets the store can make
+  const qtyValue = data?.combination ? data.combination.sets : (data?.stock?.qty ?? ciaInStore?.quantity ?? null);
 
   const inStockText = (() => {
-    const s = data?.stock?.status ?? "";
+    // A combination is in stock only when every child is (see lookupCombinationChildren)
+    if (data?.combination) return data.combination.inStock === null ? "—" : data.combination.inStock ? "Yes" : "No";
+    const s = data?.stock?.status ?? ciaInStore?.status ?? "";
     const d = data?.stock?.descriptionText ?? "";
-    if (String(s).toUpperCase().includes("OUT")) return "No";
+    if (String(s).toUpperCase().includes("OUT") || String(s).toUpperCase() === "UNAVAILABLE") return "No";
     if (String(s).toUpperCase().includes("LOW") || String(s).toUpperCase().includes("HIGH")) return "Yes";
     // fallback based on qty
-    const q = data?.stock?.qty;
+    const q = qtyValue;
     if (typeof q === "number") return q > 0 ? "Yes" : "No";
     // fallback to description text
     if (d.toLowerCase().includes("in stock")) return "Yes";
@@ -966,10 +2717,107 @@ async function renderChangedetectionPage(req, res, { store, article, dataOverrid
 
   const priceRaw = data?.prices?.store?.raw;
   const priceNum = toFiniteNumber(priceRaw);
-  const priceText = money(priceNum);
   const priceNumber = priceNum === null ? "—" : priceNum.toFixed(2);
-  const priceNumberMeta = priceNum === null ? "" : priceNumber;
-  const qtyText = (data?.stock?.qty ?? "—").toString();
+  const qtyText = (qtyValue ?? "—").toString();
+
+  const onlineNum = toFiniteNumber(data?.prices?.online?.raw);
+  const diffNum = onlineNum !== null && priceNum !== null ? Math.round((onlineNum - priceNum) * 100) / 100 : null;
+
+  const floor = data?.location?.floor ?? null;
+  const dept = data?.location?.department ?? null;
+  const code = data?.location?.code ?? null;
+  const locParts = [];
+  if (floor) locParts.push(floor);
+  if (dept) locParts.push(dept);
+  if (code) locParts.push(code);
+  const locText = locParts.length ? locParts.join(" • ") : "—";
+
+  const computed = data?.cia?.computed ?? null;
+  const restock = ciaInStore?.primaryRestock ?? null;
+  const restockText = restock?.earliestDate
+    ? (restock.latestDate && restock.latestDate !== restock.earliestDate ? `${restock.earliestDate} – ${restock.latestDate}` : restock.earliestDate)
+    : "—";
+
+  return {
+    in_stock: { label: "In Stock", text: inStockText, value: inStockText === "—" ? null : inStockText === "Yes" },
+    price: {
+      label: "Price (in-store)",
+      text: money(priceNum, market),
+      value: priceNum,
+      pre: priceNumber,
+      metaHtml: `Numeric: <span id="price_number">${escapeHtml(priceNumber)}</span> • Raw: <span id="price_raw">${escapeHtml(String(priceRaw ?? ""))}</span>`
+    },
+    quantity: { label: "Quantity", text: qtyText, value: qtyValue, metaHtml: escapeHtml(data?.stock?.descriptionText ?? "") },
+    online_price: { label: "Price (online)", text: money(onlineNum, market), value: onlineNum, pre: onlineNum === null ? "—" : onlineNum.toFixed(2) },
+    price_diff: { label: "Online − In-store", text: money(diffNum, market), value: diffNum, pre: diffNum === null ? "—" : diffNum.toFixed(2) },
+    click_collect: { label: "Click & Collect", text: cdOptionText(computed?.clickCollect), value: computed?.clickCollect?.status ?? null },
+    home_delivery: { label: "Home delivery", text: cdOptionText(computed?.homeDelivery), value: computed?.homeDelivery?.status ?? null },
+    restock: { label: "Next restock", text: restockText, value: restock ? { earliestDate: restock.earliestDate ?? null, latestDate: restock.latestDate ?? null } : null },
+    location: { label: "Location", text: locText, value: locText === "—" ? null : locText }
+  };
+}
+
+// "Label: value" lines shared by cd_pre, ?format=text and ?format=rss
+function cdTextLines(all, fields) {
+  return fields.map((id) => {
+    const f = all[id];
+    const label = id === "price" ? "Price" : f.label;
+    return `${label}: ${f.pre ?? f.text}`;
+  });
+}
+
+async function renderChangedetectionPage(req, res, { store, article, dataOverride = null, options = null, hours = null }) {
+  const market = String(req.query.market || DEFAULT_MARKET).toLowerCase();
+  const lang = String(req.query.lang || "en").toLowerCase();
+  const { format, fields, legacy } = options ?? parseCdOptions(req.query);
+
+  const data = dataOverride ?? (await lookupMerged({ article, store, market, lang }));
+
+  const title = data?.product?.title ?? `IKEA article ${article}`;
+  const desc = data?.product?.description ? ` — ${data.product.description}` : "";
+  const pageTitle = `${title}${desc}`;
+
+  const all = buildCdFields(data, { market });
+  const inStockText = all.in_stock.text;
+  const priceNum = all.price.value;
+  const currency = marketConfig(market).currency;
+  const priceNumberMeta = priceNum === null ? "" : priceNum.toFixed(2);
+  const lines = cdTextLines(all, fields);
+
+  if (format === "json") {
+    const values = {};
+    for (const id of fields) values[id] = all[id].value;
+    return res.status(200).json({ article, store, market, lang, title: pageTitle, currency, fields: values });
+  }
+
+  if (format === "text") {
+    res.setHeader("content-type", "text/plain; charset=utf-8");
+    return res.status(200).send(`${lines.join("\n")}\n`);
+  }
+
+  if (format === "rss") {
+    // One item whose guid changes only when the selected values change, so feed readers
+    // (and ChangeDetection's RSS handling) see a new entry per real change.
+    const body = lines.join("\n");
+    const guid = crypto.createHash("sha1").update(`${store}/${article}\n${body}`).digest("hex");
+    const link = data?.product?.productUrl ?? publicItemUrl({ store, article, market, lang });
+    res.setHeader("content-type", "application/rss+xml; charset=utf-8");
+    return res.status(200).send(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeHtml(pageTitle)} @ IKEA ${escapeHtml(store)}</title>
+    <link>${escapeHtml(link)}</link>
+    <description>${escapeHtml(`Article ${article} • Store ${store} • Market ${market.toUpperCase()}`)}</description>
+    <item>
+      <title>${escapeHtml(lines.join(" • "))}</title>
+      <link>${escapeHtml(link)}</link>
+      <guid isPermaLink="false">${guid}</guid>
+      <description>${escapeHtml(body)}</description>
+    </item>
+  </channel>
+</rss>
+`);
+  }
 
   const schemaAvailability =
     inStockText === "Yes" ? "https://schema.org/InStock" :
@@ -985,7 +2833,7 @@ async function renderChangedetectionPage(req, res, { store, article, dataOverrid
     "url": data?.product?.productUrl ?? undefined,
     "offers": {
       "@type": "Offer",
-      "priceCurrency": "AUD",
+      "priceCurrency": currency,
       "price": priceNum === null ? undefined : priceNum.toFixed(2),
       "availability": schemaAvailability
     }
@@ -993,20 +2841,34 @@ async function renderChangedetectionPage(req, res, { store, article, dataOverrid
 
   const productLdJson = JSON.stringify(productLd).replace(/</g, "\\u003c");
 
-  const floor = data?.location?.floor ?? null;
-  const dept = data?.location?.department ?? null;
-  const code = data?.location?.code ?? null;
-  const locParts = [];
-  if (floor) locParts.push(floor);
-  if (dept) locParts.push(dept);
-  if (code) locParts.push(code);
-  const locText = locParts.length ? locParts.join(" • ") : "—";
-
   const favicon = "https://www.ikea.com/favicon.ico";
 
+  // Only shown while the store is closed, in its own element so a watch can exclude it
+  const nextOpenText = hours?.nextOpen ? formatLocalTime(hours.nextOpen, hours.timeZone, market) : null;
+  const hoursBanner = hours?.open === false
+    ? `<div class="banner" id="store_hours">Store closed${nextOpenText ? ` — opens ${escapeHtml(nextOpenText)}` : ""}</div>`
+    : "";
+
+  // The original layout shows location under In Stock; with ?fields it's a card of its own.
+  const cards = fields
+    .map((id) => {
+      const f = all[id];
+      const meta = legacy && id === "in_stock"
+        ? `Location: <span id="location">${escapeHtml(all.location.text)}</span>`
+        : f.metaHtml;
+      return `
+      <div class="card">
+        <div class="label">${escapeHtml(f.label)}</div>
+        <div class="value" id="${id}">${escapeHtml(f.text)}</div>${meta === undefined ? "" : `
+        <div class="meta">${meta}</div>`}
+      </div>
+`;
+    })
+    .join("");
+
   res.setHeader("content-type", "text/html; charset=utf-8");
   res.status(200).send(`<!doctype html>
-<html lang="en">
+<html lang="${escapeHtml(lang)}">
 <head>
   <meta charset="utf-8" />
   <meta name="viewport" content="width=device-width, initial-scale=1" />
@@ -1015,7 +2877,7 @@ async function renderChangedetectionPage(req, res, { store, article, dataOverrid
   <link rel="shortcut icon" href="${favicon}" />
   <meta name="robots" content="noindex,nofollow" />
   <meta property="product:price:amount" content="${escapeHtml(priceNumberMeta)}" />
-  <meta property="product:price:currency" content="AUD" />
+  <meta property="product:price:currency" content="${escapeHtml(currency)}" />
   <meta property="product:availability" content="${escapeHtml(schemaAvailability)}" />
   <script type="application/ld+json">${productLdJson}</script>
   <style>
@@ -1039,31 +2901,11 @@ async function renderChangedetectionPage(req, res, { store, article, dataOverrid
     <h1>${escapeHtml(pageTitle)}</h1>
     <p class="sub">Article ${escapeHtml(article)} • Store ${escapeHtml(store)} • Market ${escapeHtml(market.toUpperCase())} • Lang ${escapeHtml(lang)}</p>
 
-    
-
-    <div class="grid">
-      <div class="card">
-        <div class="label">In Stock</div>
-        <div class="value" id="in_stock">${escapeHtml(inStockText)}</div>
-        <div class="meta">Location: <span id="location">${escapeHtml(locText)}</span></div>
-      </div>
-
-      <div class="card">
-        <div class="label">Price (in-store)</div>
-        <div class="value" id="price">${escapeHtml(priceText)}</div>
-        <div class="meta">Numeric: <span id="price_number">${escapeHtml(priceNumber)}</span> • Raw: <span id="price_raw">${escapeHtml(String(priceRaw ?? ""))}</span></div>
-      </div>
+    ${hoursBanner}
 
-      <div class="card">
-        <div class="label">Quantity</div>
-        <div class="value" id="quantity">${escapeHtml(qtyText)}</div>
-        <div class="meta">${escapeHtml(data?.stock?.descriptionText ?? "")}</div>
-      </div>
-    </div>
+    <div class="grid">${cards}    </div>
 
-    <pre id="cd_pre">In Stock: ${inStockText}
-Price: ${priceNumber}
-Quantity: ${qtyText}</pre>
+    <pre id="cd_pre">${escapeHtml(lines.join("\n"))}</pre>
   </div>
 </body>
 </html>`);
@@ -1080,11 +2922,17 @@ app.get("/:store([0-9]+)/:article([0-9\\.]+)", async (req, res) => {
     const store = String(req.params.store || DEFAULT_STORE);
     const article = normArticle(req.params.article);
     if (!article) return res.status(400).send("Bad Request: missing article number.");
+    const options = parseCdOptions(req.query);
+    if (options.error) return res.status(400).type("text/plain").send(`Bad Request: ${options.error}`);
     const cd = await getChangedetectionData(req, { store, article });
 
+    res.setHeader("x-ikea-store-open", cd.hours.open === null ? "unknown" : cd.hours.open ? "1" : "0");
+    if (cd.hours.nextOpen) res.setHeader("x-ikea-store-next-open", cd.hours.nextOpen);
+
     // If the store is closed and we did not (or could not) freeze values, return a non-2xx
     // so Changedetection's Restock/Price processor won't interpret blanks as a real change.
     if (cd.closed && !cd.usedSnapshot) {
+      metricCdResponses.inc({ result: "store_closed" });
       const mode = CD_STORE_CLOSED_BEHAVIOR;
       const code = mode === "404" ? 404 : 503;
       res.setHeader("content-type", "text/plain; charset=utf-8");
@@ -1093,11 +2941,13 @@ app.get("/:store([0-9]+)/:article([0-9\\.]+)", async (req, res) => {
       return res.status(code).send("STORE_CLOSED");
     }
 
-    // Otherwise render with the (possibly frozen) data.
+    // Otherwise render with the (possibly frozen) data; counted once rendered so a failure is only "error".
     res.setHeader("cache-control", "no-store");
-    await renderChangedetectionPage(req, res, { store, article, dataOverride: cd.data });
+    await renderChangedetectionPage(req, res, { store, article, dataOverride: cd.data, options, hours: cd.hours });
+    metricCdResponses.inc({ result: cd.usedSnapshot ? "frozen" : "ok" });
   } catch (e) {
     // Non-2xx on unexpected errors keeps CD from producing "fake" price changes.
+    metricCdResponses.inc({ result: "error" });
     res.setHeader("content-type", "text/plain; charset=utf-8");
     res.setHeader("cache-control", "no-store");
     res.status(503).send("LOOKUP_ERROR");
@@ -1116,4 +2966,5 @@ function escapeHtml(s) {
 
 app.listen(PORT, () => {
   console.log(`IKEA lookup running on port ${PORT}`);
+  startWatchScheduler();
 });
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { createDiskStore, createRedisStore } from "../cache.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const silent = { error() {} };
+
+// Writes entries with values 0..n-1; entry i's file is i minutes older than the next one's
+async function writeAged(dir, n, expires) {
+  const writer = createDiskStore({ dir });
+  for (let i = 0; i < n; i++) await writer.set(`k${i}`, { value: i, expires });
+  for (const f of fs.readdirSync(dir)) {
+    const { value } = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+    const t = new Date(Date.now() - (n - value) * 60_000);
+    fs.utimesSync(path.join(dir, f), t, t);
+  }
+}
+
+test("disk sweep drops expired files and keeps the newest maxEntries", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cache-test-"));
+  try {
+    await writeAged(dir, 5, Date.now() + 60_000);
+    const store = createDiskStore({ dir, maxEntries: 3 });
+    await store.set("expired", { value: "x", expires: Date.now() - 1 });
+
+    await store.sweep();
+    assert.equal(fs.readdirSync(dir).length, 3);
+    const values = await Promise.all(["k0", "k1", "k2", "k3", "k4", "expired"].map((k) => store.get(k)));
+    assert.deepEqual(values.map((e) => e?.value ?? null), [null, null, 2, 3, 4, null]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("disk store sweeps without waiting for the interval once maxEntries were written", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cache-test-"));
+  try {
+    const store = createDiskStore({ dir, maxEntries: 4 });
+    for (let i = 0; i < 3; i++) await store.set(`k${i}`, { value: i, expires: Date.now() + 60_000 });
+    await store.set("expired", { value: "x", expires: Date.now() - 1 });
+    await sleep(100);
+    assert.equal(fs.readdirSync(dir).length, 3);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Redis stand-in. Each connection is handed to onConnection(socket, index); replies are RESP strings.
+async function redisStandIn(onConnection) {
+  const sockets = new Set();
+  let connections = 0;
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.on("error", () => {});
+    onConnection(socket, connections++);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    connections: () => connections,
+    close: () => {
+      sockets.forEach((s) => s.destroy());
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+const bulk = (s) => `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+
+test("a timed-out Redis connection closing late doesn't take down the reconnect", async () => {
+  const entry = { value: "cached", expires: Date.now() + 60_000 };
+  const redis = await redisStandIn((socket, index) => {
+    // The first connection never answers; later ones answer GET after a short delay
+    if (index === 0) return;
+    socket.on("data", () => setTimeout(() => socket.write(bulk(JSON.stringify(entry))), 50));
+  });
+  const store = createRedisStore({ url: redis.url, timeoutMs: 200, retryBaseMs: 0, log: silent });
+  try {
+    assert.equal(await store.get("k"), null);
+    assert.deepEqual(await store.get("k"), entry);
+    assert.equal(redis.connections(), 2);
+  } finally {
+    store.close();
+    await redis.close();
+  }
+});
+
+test("an unreachable Redis is skipped during the backoff instead of reconnecting per read", async () => {
+  const redis = await redisStandIn((socket) => socket.destroy());
+  const store = createRedisStore({ url: redis.url, timeoutMs: 200, retryBaseMs: 300, log: silent });
+  try {
+    assert.equal(await store.get("k"), null);
+    await sleep(20);
+    const started = Date.now();
+    for (let i = 0; i < 5; i++) assert.equal(await store.get("k"), null);
+    assert.ok(Date.now() - started < 50, "reads during the backoff return at once");
+    assert.equal(redis.connections(), 1);
+
+    await sleep(350);
+    assert.equal(await store.get("k"), null);
+    assert.equal(redis.connections(), 2);
+  } finally {
+    store.close();
+    await redis.close();
+  }
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { csvLookupRows, parseCsv, toCsv } from "../csv.js";
+
+const lookupRows = (text) => csvLookupRows(parseCsv(text));
+
+test("parseCsv keeps the source line of every row", () => {
+  const text = 'article,qty\r\n\r\n404.923.31,2\r\n"702.638.42\nsecond line",1\r\n  \r\n;,\r\n004.578.66,3';
+  assert.deepEqual(
+    parseCsv(text).map((r) => r.line),
+    [1, 3, 4, 7, 8]
+  );
+  assert.deepEqual(parseCsv(text)[2].cells, ["702.638.42\nsecond line", "1"]);
+});
+
+test("line numbers count blank lines with LF, CRLF and CR endings", () => {
+  for (const eol of ["\n", "\r\n", "\r"]) {
+    const rows = lookupRows(["article", "40492331", "", "", "70263842"].join(eol));
+    assert.deepEqual(rows.map((r) => [r.line, r.article]), [[2, "40492331"], [5, "70263842"]], JSON.stringify(eol));
+  }
+});
+
+test("without a header the columns are article, store, qty", () => {
+  assert.deepEqual(lookupRows("40492331;556;2\n70263842"), [
+    { line: 1, article: "40492331", store: "556", qty: "2" },
+    { line: 2, article: "70263842", store: null, qty: null }
+  ]);
+});
+
+test("the article column wins over product name and item columns", () => {
+  const cases = [
+    ["Product name,Article number,Qty", { article: "Article number", store: null, qty: "Qty" }],
+    ["Item,Art. no,Store", { article: "Art. no", store: "Store", qty: null }],
+    ["Product,SKU", { article: "SKU", store: null, qty: null }],
+    ["Description,Product", { article: "Product", store: null, qty: null }],
+    ["Item no\tQuantity", { article: "Item no", store: null, qty: "Quantity" }]
+  ];
+  for (const [header, expected] of cases) {
+    const names = header.split(/[,\t]/);
+    const values = names.map((n) => `v:${n}`);
+    const [row] = lookupRows(`${header}\n${values.join(header.includes("\t") ? "\t" : ",")}`);
+    const pick = (v) => (v === null ? null : v.slice(2));
+    assert.deepEqual({ article: pick(row.article), store: pick(row.store), qty: pick(row.qty) }, expected, header);
+  }
+});
+
+test("a Store price column is not the store", () => {
+  assert.deepEqual(lookupRows("Article,Store price,Qty\n40492331,89,2"), [{ line: 2, article: "40492331", store: null, qty: "2" }]);
+  assert.deepEqual(lookupRows("Article,Store price,Store no\n40492331,89,556"), [{ line: 2, article: "40492331", store: "556", qty: null }]);
+  assert.equal(lookupRows("Article,BU code\n40492331,556")[0].store, "556");
+});
+
+test("a first row that names no article column is data", () => {
+  assert.deepEqual(lookupRows("Product name,Qty\n40492331,2").map((r) => r.line), [1, 2]);
+});
+
+test("toCsv quotes fields and defuses formulas", () => {
+  assert.equal(toCsv([{ a: "x,y", b: '=SUM(A1)', c: null }, { a: 'say "hi"', b: 3, c: -1 }], ["a", "b", "c"]), 'a,b,c\r\n"x,y",\'=SUM(A1),\r\n"say ""hi""",3,-1\r\n');
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { distanceKm, POSTCODE_CENTROIDS, postcodeCentroid } from "../geo.js";
+
+// [market, postcode, expected match prefix or null]; answered from the bundled table, no network
+const CASES = [
+  ["au", "6018", "60"],
+  ["au", "2600", "260"],
+  ["au", "2750", "27"],
+  ["au", "4870", "487"],
+  ["au", "4810", "481"],
+  ["au", "0800", "08"],
+  ["AU", " 6018 ", "60"],
+  ["au", "6600", null],
+  ["au", "600", null],
+  ["au", "60181", null],
+  ["nz", "1010", "10"],
+  ["nz", "0610", "06"],
+  ["gb", "HA9 0WS", "HA"],
+  ["gb", "sw1a 1aa", "SW"],
+  ["gb", "M1 1AE", "M"],
+  ["gb", "EC1A 1BB", "EC"],
+  ["gb", "HA9", "HA"],
+  ["gb", "XX1 1AA", null],
+  ["gb", "6018", null],
+  ["us", "10001", null],
+  [null, "6018", null]
+];
+
+for (const [market, postcode, match] of CASES) {
+  test(`postcodeCentroid(${JSON.stringify(market)}, ${JSON.stringify(postcode)})`, () => {
+    const c = postcodeCentroid(market, postcode);
+    if (match === null) return assert.equal(c, null);
+    const [lat, lon] = POSTCODE_CENTROIDS[market.toLowerCase()][match];
+    assert.deepEqual(c, { lat, lon, match });
+  });
+}
+
+test("a finer prefix wins over its area when the table has one", () => {
+  POSTCODE_CENTROIDS.gb.HA9 = [51.556, -0.28];
+  try {
+    assert.deepEqual(postcodeCentroid("gb", "HA9 0WS"), { lat: 51.556, lon: -0.28, match: "HA9" });
+    assert.equal(postcodeCentroid("gb", "HA1 1AA").match, "HA");
+  } finally {
+    delete POSTCODE_CENTROIDS.gb.HA9;
+  }
+});
+
+test("distanceKm is the great-circle distance", () => {
+  const perth = { lat: -31.95, lon: 115.86 };
+  const sydney = { lat: -33.87, lon: 151.21 };
+  const london = { lat: 51.5074, lon: -0.1278 };
+  const paris = { lat: 48.8566, lon: 2.3522 };
+  const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1, `${actual} vs ${expected}`);
+
+  assert.equal(distanceKm(perth, perth), 0);
+  near(distanceKm(perth, sydney), 3290.7);
+  near(distanceKm(sydney, perth), 3290.7);
+  near(distanceKm(london, paris), 343.6);
+  near(distanceKm({ lat: 0, lon: 0 }, { lat: 0, lon: 180 }), Math.PI * 6371);
+  near(distanceKm({ lat: 0, lon: 179.5 }, { lat: 0, lon: -179.5 }), 111.2);
+});
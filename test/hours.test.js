@@ -0,0 +1,166 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import {
+  parseSpecialDate,
+  parseSpecialHoursFromHtml,
+  parseStoreHoursFromHtml,
+  scheduleDays,
+  scheduleStatus,
+  weeklyScheduleFromItems
+} from "../hours.js";
+
+// Store pages in the markup of /{market}/{lang}/stores/{slug}/, cut down to the blocks the parsers read
+const page = (slug) => fs.readFileSync(new URL(`./fixtures/store-hours-${slug}.html`, import.meta.url), "utf8");
+
+function schedule(slug, timeZone, today) {
+  const html = page(slug);
+  return {
+    timeZone,
+    weekly: weeklyScheduleFromItems(parseStoreHoursFromHtml(html)),
+    special: parseSpecialHoursFromHtml(html, { today })
+  };
+}
+
+const hours = (open, close) => [{ open, close }];
+
+test("weekly rows come from the Store block only", () => {
+  assert.deepEqual(parseStoreHoursFromHtml(page("perth")), [
+    { days: "Mon - Wed", hours: "10am – 7pm" },
+    { days: "Thu", hours: "10am – 9pm" },
+    { days: "Fri", hours: "10am – 7pm" },
+    { days: "Sat - Sun", hours: "9am – 6pm" }
+  ]);
+});
+
+test("weekly schedule from day ranges, am/pm and 24h times", () => {
+  assert.deepEqual(schedule("perth", "Australia/Perth", "2026-10-19").weekly, {
+    mon: hours("10:00", "19:00"),
+    tue: hours("10:00", "19:00"),
+    wed: hours("10:00", "19:00"),
+    thu: hours("10:00", "21:00"),
+    fri: hours("10:00", "19:00"),
+    sat: hours("09:00", "18:00"),
+    sun: hours("09:00", "18:00")
+  });
+  assert.deepEqual(schedule("wembley", "Europe/London", "2026-10-19").weekly, {
+    mon: hours("10:00", "21:00"),
+    tue: hours("10:00", "21:00"),
+    wed: hours("10:00", "21:00"),
+    thu: hours("10:00", "21:00"),
+    fri: hours("10:00", "21:00"),
+    sat: hours("09:00", "21:00"),
+    sun: hours("11:00", "17:00")
+  });
+});
+
+test("a page without a special hours section has no special dates", () => {
+  assert.deepEqual(parseSpecialHoursFromHtml(page("perth"), { today: "2026-10-19" }), []);
+});
+
+test("public holiday hours without a year roll over to the next occurrence", () => {
+  assert.deepEqual(parseSpecialHoursFromHtml(page("tempe"), { today: "2026-12-01" }), [
+    { date: "2026-12-24", label: "Christmas Eve", closed: false, intervals: hours("09:00", "18:00") },
+    { date: "2026-12-25", label: "Christmas Day", closed: true, intervals: [] },
+    { date: "2026-12-26", label: "Boxing Day", closed: false, intervals: hours("09:00", "18:00") },
+    { date: "2027-01-01", label: "New Year's Day", closed: false, intervals: hours("10:00", "18:00") },
+    { date: "2027-01-26", label: "Australia Day", closed: false, intervals: hours("10:00", "18:00") }
+  ]);
+});
+
+test("changed opening hours with a year keep holiday names that contain a weekday", () => {
+  assert.deepEqual(parseSpecialHoursFromHtml(page("wembley"), { today: "2026-03-20" }), [
+    { date: "2026-04-03", label: "Good Friday", closed: false, intervals: hours("10:00", "18:00") },
+    { date: "2026-04-05", label: "Easter Sunday", closed: true, intervals: [] },
+    { date: "2026-04-06", label: "Easter Monday", closed: false, intervals: hours("10:00", "18:00") }
+  ]);
+});
+
+test("parseSpecialDate formats", () => {
+  const cases = [
+    ["Christmas Day (Thu 25 December)", { date: "2026-12-25", label: "Christmas Day" }],
+    ["Christmas Day, Fri 25 December", { date: "2026-12-25", label: "Christmas Day" }],
+    ["Thursday, 24 December – Christmas Eve", { date: "2026-12-24", label: "Christmas Eve" }],
+    ["25 Dec 2026", { date: "2026-12-25", label: null }],
+    ["December 25th", { date: "2026-12-25", label: null }],
+    ["2026-12-25", { date: "2026-12-25", label: null }],
+    ["25/12", { date: "2026-12-25", label: null }],
+    ["25.12.26", { date: "2026-12-25", label: null }],
+    ["1 January", { date: "2027-01-01", label: null }],
+    ["1 November", { date: "2026-11-01", label: null }],
+    ["31/02", null],
+    ["Late night shopping", null]
+  ];
+  for (const [text, expected] of cases) assert.deepEqual(parseSpecialDate(text, "2026-12-01"), expected, text);
+});
+
+test("scheduleStatus across the end of British Summer Time", () => {
+  const wembley = schedule("wembley", "Europe/London", "2026-10-19");
+  // Sat 24 Oct 21:30 BST, after closing; clocks go back at 02:00 BST on Sun 25 Oct
+  assert.deepEqual(scheduleStatus(wembley, new Date("2026-10-24T20:30:00Z")), {
+    open: false,
+    nextChange: { type: "open", at: "2026-10-25T11:00:00+00:00" }
+  });
+  // 01:30 on the morning the clocks change (still BST)
+  assert.deepEqual(scheduleStatus(wembley, new Date("2026-10-25T00:30:00Z")), {
+    open: false,
+    nextChange: { type: "open", at: "2026-10-25T11:00:00+00:00" }
+  });
+  // 10:59 and 11:00 GMT on the Sunday
+  assert.equal(scheduleStatus(wembley, new Date("2026-10-25T10:59:00Z")).open, false);
+  assert.deepEqual(scheduleStatus(wembley, new Date("2026-10-25T11:00:00Z")), {
+    open: true,
+    nextChange: { type: "close", at: "2026-10-25T17:00:00+00:00" }
+  });
+});
+
+test("scheduleStatus across the start of Sydney daylight saving", () => {
+  const tempe = schedule("tempe", "Australia/Sydney", "2026-09-01");
+  // Sat 3 Oct 21:00 AEST; clocks go forward at 02:00 on Sun 4 Oct
+  assert.deepEqual(scheduleStatus(tempe, new Date("2026-10-03T11:00:00Z")), {
+    open: false,
+    nextChange: { type: "open", at: "2026-10-04T10:00:00+11:00" }
+  });
+  // Sun 4 Oct 10:00 AEDT is 23:00 UTC the day before
+  assert.equal(scheduleStatus(tempe, new Date("2026-10-03T22:59:00Z")).open, false);
+  assert.deepEqual(scheduleStatus(tempe, new Date("2026-10-03T23:00:00Z")), {
+    open: true,
+    nextChange: { type: "close", at: "2026-10-04T18:00:00+11:00" }
+  });
+  assert.deepEqual(
+    scheduleDays(tempe, new Date("2026-10-03T11:00:00Z"), 2).map((d) => d.intervals),
+    [
+      [{ open: "2026-10-03T09:00:00+10:00", close: "2026-10-03T18:00:00+10:00" }],
+      [{ open: "2026-10-04T10:00:00+11:00", close: "2026-10-04T18:00:00+11:00" }]
+    ]
+  );
+});
+
+test("special hours override the weekly ones in scheduleStatus", () => {
+  const tempe = schedule("tempe", "Australia/Sydney", "2026-12-01");
+  // Christmas Eve closes at 18:00 instead of the usual Thursday 21:00
+  assert.deepEqual(scheduleStatus(tempe, new Date("2026-12-24T06:00:00Z")), {
+    open: true,
+    nextChange: { type: "close", at: "2026-12-24T18:00:00+11:00" }
+  });
+  // Midnight into Christmas Day: closed all day, next open on Boxing Day
+  assert.deepEqual(scheduleStatus(tempe, new Date("2026-12-24T13:00:00Z")), {
+    open: false,
+    nextChange: { type: "open", at: "2026-12-26T09:00:00+11:00" }
+  });
+  const christmas = scheduleDays(tempe, new Date("2026-12-24T13:00:00Z"), 1)[0];
+  assert.deepEqual(christmas, { date: "2026-12-25", day: "fri", closed: true, special: "Christmas Day", intervals: [] });
+
+  const wembley = schedule("wembley", "Europe/London", "2026-03-20");
+  // Sat 4 Apr after closing; Easter Sunday is closed, so the next opening is Easter Monday
+  assert.deepEqual(scheduleStatus(wembley, new Date("2026-04-04T20:30:00Z")), {
+    open: false,
+    nextChange: { type: "open", at: "2026-04-06T10:00:00+01:00" }
+  });
+});
+
+test("unknown hours leave open as null", () => {
+  const empty = { timeZone: "Australia/Perth", weekly: weeklyScheduleFromItems([]), special: [] };
+  assert.deepEqual(scheduleStatus(empty, new Date("2026-10-19T02:00:00Z")), { open: null, nextChange: null });
+  assert.deepEqual(scheduleStatus({}, new Date("2026-10-19T02:00:00Z")), { open: null, nextChange: null });
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMetrics } from "../metrics.js";
+
+test("counters render HELP, TYPE and one line per label set", () => {
+  const metrics = createMetrics({ prefix: "app_" });
+  const c = metrics.counter("requests_total", "Requests by route and status", ["route", "status"]);
+  c.inc({ route: "/api/lookup", status: 200 });
+  c.inc({ route: "/api/lookup", status: 200 }, 2);
+  c.inc({ status: 500 });
+  metrics.counter("idle_total", "Never incremented");
+  metrics.counter("plain_total", "No labels").inc();
+
+  assert.equal(
+    metrics.render(),
+    [
+      "# HELP app_requests_total Requests by route and status",
+      "# TYPE app_requests_total counter",
+      'app_requests_total{route="/api/lookup",status="200"} 3',
+      'app_requests_total{route="",status="500"} 1',
+      "# HELP app_idle_total Never incremented",
+      "# TYPE app_idle_total counter",
+      "# HELP app_plain_total No labels",
+      "# TYPE app_plain_total counter",
+      "app_plain_total 1",
+      ""
+    ].join("\n")
+  );
+});
+
+test("label values escape backslash, double quote and newline", () => {
+  const metrics = createMetrics();
+  metrics.counter("x_total", "x", ["v"]).inc({ v: 'C:\\tmp "a"\nb' });
+  assert.match(metrics.render(), /^x_total\{v="C:\\\\tmp \\"a\\"\\nb"\} 1$/m);
+});
+
+test("histograms render cumulative buckets, +Inf, sum and count", () => {
+  const metrics = createMetrics();
+  const h = metrics.histogram("duration_seconds", "Durations", ["endpoint"], [1, 0.1]);
+  for (const v of [0.05, 0.5, 2]) h.observe({ endpoint: "cia" }, v);
+
+  assert.deepEqual(metrics.render().trim().split("\n"), [
+    "# HELP duration_seconds Durations",
+    "# TYPE duration_seconds histogram",
+    'duration_seconds_bucket{endpoint="cia",le="0.1"} 1',
+    'duration_seconds_bucket{endpoint="cia",le="1"} 2',
+    'duration_seconds_bucket{endpoint="cia",le="+Inf"} 3',
+    `duration_seconds_sum{endpoint="cia"} ${0.05 + 0.5 + 2}`,
+    'duration_seconds_count{endpoint="cia"} 3'
+  ]);
+});
+
+test("gauges read collect() at scrape time and format special values", () => {
+  const metrics = createMetrics();
+  let entries = 4;
+  metrics.gauge("entries", "Entries", [], () => [{ labels: {}, value: entries }]);
+  const g = metrics.gauge("ratio", "Ratio", ["kind"]);
+  g.set({ kind: "inf" }, Infinity);
+  g.set({ kind: "nan" }, "n/a");
+  metrics.gauge("broken", "Collector throws", [], () => {
+    throw new Error("boom");
+  });
+
+  entries = 7;
+  const lines = metrics.render().split("\n");
+  assert.ok(lines.includes("entries 7"));
+  assert.ok(lines.includes('ratio{kind="inf"} +Inf'));
+  assert.ok(lines.includes('ratio{kind="nan"} NaN'));
+  assert.ok(lines.includes("# TYPE broken gauge"));
+  assert.ok(!lines.some((l) => l.startsWith("broken ")));
+});
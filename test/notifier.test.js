@@ -0,0 +1,277 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import net from "net";
+import os from "os";
+import path from "path";
+import { createNotifier } from "../notifier.js";
+
+const TIMEOUT_MS = 500;
+const CTX = { title: "BILLY", storeName: "Perth", storePrice: "$89", onlinePrice: "$89", qty: 3, link: "https://example.test/p/40492331" };
+const EXPECTED_BODY = "Test notification from IKEA lookup\nIn-store: $89 • Online: $89 • Qty: 3\nhttps://example.test/p/40492331";
+
+const dirs = [];
+after(() => dirs.forEach((d) => fs.rmSync(d, { recursive: true, force: true })));
+
+function notifier() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "notifier-test-"));
+  dirs.push(dataDir);
+  return { dataDir, notifier: createNotifier({ dataDir, env: {}, timeoutMs: TIMEOUT_MS }) };
+}
+
+// Local HTTP stand-in for webhook/ntfy/gotify. reply: "ok" (200), a status code, or "hang" (never answers).
+async function httpStandIn(reply = "ok") {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+      if (reply === "hang") return;
+      res.writeHead(reply === "ok" ? 200 : reply, { "content-type": "text/plain" });
+      res.end(reply === "ok" ? "ok" : "upstream broke");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+// Minimal SMTP listener: records the commands and the DATA section. reply: "ok", an SMTP code to answer
+// MAIL FROM with, or "hang" (accepts the connection but never greets).
+async function smtpStandIn(reply = "ok") {
+  const session = { commands: [], data: "" };
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    if (reply === "hang") return;
+    let buf = "";
+    let inData = false;
+    const send = (line) => socket.write(`${line}\r\n`);
+    send("220 localhost ESMTP stand-in");
+    socket.on("data", (chunk) => {
+      buf += chunk;
+      if (inData) {
+        const end = buf.indexOf("\r\n.\r\n");
+        if (end === -1) return;
+        session.data = buf.slice(0, end);
+        buf = buf.slice(end + 5);
+        inData = false;
+        send("250 2.0.0 Ok: queued as STANDIN1");
+      }
+      let nl;
+      while (!inData && (nl = buf.indexOf("\r\n")) !== -1) {
+        const line = buf.slice(0, nl);
+        buf = buf.slice(nl + 2);
+        session.commands.push(line);
+        const verb = line.split(" ")[0].toUpperCase();
+        if (verb === "EHLO") send("250-localhost\r\n250 AUTH PLAIN");
+        else if (verb === "AUTH") send("235 2.7.0 Authentication successful");
+        else if (verb === "MAIL") send(reply === "ok" ? "250 2.1.0 Ok" : `${reply} 5.7.1 Sender rejected`);
+        else if (verb === "RCPT") send("250 2.1.5 Ok");
+        else if (verb === "DATA") {
+          inData = true;
+          send("354 End data with <CR><LF>.<CR><LF>");
+        } else if (verb === "QUIT") {
+          send("221 2.0.0 Bye");
+          socket.end();
+        } else send("502 5.5.2 Command not recognized");
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    port: server.address().port,
+    session,
+    close: () => {
+      sockets.forEach((s) => s.destroy());
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+test("webhook POSTs the JSON message with the configured headers", async () => {
+  const standIn = await httpStandIn();
+  try {
+    const { notifier: n } = notifier();
+    const { channel } = n.add({ type: "webhook", config: { url: `${standIn.url}/hooks/ikea`, headers: { authorization: "Bearer hook-secret" } } });
+    const result = await n.test(channel.id, CTX);
+
+    assert.equal(result.ok, true, result.error);
+    assert.equal(result.result, 200);
+    const [req] = standIn.requests;
+    assert.equal(req.method, "POST");
+    assert.equal(req.path, "/hooks/ikea");
+    assert.equal(req.headers.authorization, "Bearer hook-secret");
+    assert.equal(req.headers["content-type"], "application/json");
+    const body = JSON.parse(req.body);
+    assert.equal(body.title, "BILLY @ IKEA Perth");
+    assert.equal(body.message, EXPECTED_BODY);
+    assert.equal(body.link, CTX.link);
+    assert.deepEqual(body.event, { type: "test", message: "Test notification from IKEA lookup" });
+    assert.deepEqual(body.context, CTX);
+  } finally {
+    await standIn.close();
+  }
+});
+
+test("ntfy POSTs the text body to the topic with a bearer token and metadata headers", async () => {
+  const standIn = await httpStandIn();
+  try {
+    const { notifier: n } = notifier();
+    const { channel } = n.add({ type: "ntfy", config: { url: `${standIn.url}/ikea-alerts`, token: "tk_ntfy", priority: 4 } });
+    const result = await n.test(channel.id, { ...CTX, storeName: "Tempe – Sydney" });
+
+    assert.equal(result.ok, true, result.error);
+    const [req] = standIn.requests;
+    assert.equal(req.method, "POST");
+    assert.equal(req.path, "/ikea-alerts");
+    assert.equal(req.headers.authorization, "Bearer tk_ntfy");
+    assert.equal(req.headers.title, `=?UTF-8?B?${Buffer.from("BILLY @ IKEA Tempe – Sydney").toString("base64")}?=`);
+    assert.equal(req.headers.click, CTX.link);
+    assert.equal(req.headers.priority, "4");
+    assert.equal(req.headers.tags, "shopping_cart");
+    assert.equal(req.body, EXPECTED_BODY);
+  } finally {
+    await standIn.close();
+  }
+});
+
+test("gotify POSTs to /message with the app token", async () => {
+  const standIn = await httpStandIn();
+  try {
+    const { notifier: n } = notifier();
+    const { channel } = n.add({ type: "gotify", config: { url: `${standIn.url}/gotify/`, token: "AppToken.1" } });
+    const result = await n.test(channel.id, CTX);
+
+    assert.equal(result.ok, true, result.error);
+    const [req] = standIn.requests;
+    assert.equal(req.method, "POST");
+    assert.equal(req.path, "/gotify/message");
+    assert.equal(req.headers["x-gotify-key"], "AppToken.1");
+    assert.equal(req.headers.authorization, undefined);
+    assert.deepEqual(JSON.parse(req.body), {
+      title: "BILLY @ IKEA Perth",
+      message: EXPECTED_BODY,
+      priority: 5,
+      extras: { "client::notification": { click: { url: CTX.link } } }
+    });
+  } finally {
+    await standIn.close();
+  }
+});
+
+for (const type of ["webhook", "ntfy", "gotify"]) {
+  test(`${type} reports a 5xx from the server`, async () => {
+    const standIn = await httpStandIn(503);
+    try {
+      const { notifier: n } = notifier();
+      const { channel } = n.add({ type, config: { url: `${standIn.url}/x`, token: "t" } });
+      const result = await n.test(channel.id, CTX);
+      assert.equal(result.ok, false);
+      assert.match(result.error, /^HTTP 503 from http:\/\/127\.0\.0\.1:\d+\/x(\/message)?: upstream broke$/);
+    } finally {
+      await standIn.close();
+    }
+  });
+
+  test(`${type} gives up after the timeout`, async () => {
+    const standIn = await httpStandIn("hang");
+    try {
+      const { notifier: n } = notifier();
+      const { channel } = n.add({ type, config: { url: `${standIn.url}/x`, token: "t" } });
+      const result = await n.test(channel.id, CTX);
+      assert.equal(result.ok, false);
+      assert.match(result.error, /timeout/i);
+      assert.ok(result.ms >= TIMEOUT_MS - 50 && result.ms < TIMEOUT_MS * 4, `took ${result.ms} ms`);
+    } finally {
+      await standIn.close();
+    }
+  });
+}
+
+test("email authenticates and sends the message over SMTP", async () => {
+  const smtp = await smtpStandIn();
+  try {
+    const { notifier: n } = notifier();
+    const { channel } = n.add({
+      type: "email",
+      config: { host: "127.0.0.1", port: smtp.port, user: "alerts", pass: "smtp-secret", from: "ikea@example.test", to: "me@example.test" }
+    });
+    const result = await n.test(channel.id, CTX);
+
+    assert.equal(result.ok, true, result.error);
+    const { commands, data } = smtp.session;
+    const auth = commands.find((c) => c.startsWith("AUTH PLAIN "));
+    assert.equal(Buffer.from(auth.slice("AUTH PLAIN ".length), "base64").toString(), "\0alerts\0smtp-secret");
+    assert.ok(commands.includes("MAIL FROM:<ikea@example.test>"), commands.join("\n"));
+    assert.ok(commands.includes("RCPT TO:<me@example.test>"), commands.join("\n"));
+    assert.match(data, /^Subject: BILLY @ IKEA Perth$/m);
+    assert.match(data, /^To: me@example\.test$/m);
+    assert.ok(data.replace(/=\r\n/g, "").replace(/=E2=80=A2/g, "•").includes(EXPECTED_BODY.replace(/\n/g, "\r\n")), data);
+  } finally {
+    await smtp.close();
+  }
+});
+
+test("email reports an SMTP rejection", async () => {
+  const smtp = await smtpStandIn(554);
+  try {
+    const { notifier: n } = notifier();
+    const { channel } = n.add({ type: "email", config: { host: "127.0.0.1", port: smtp.port, to: "me@example.test" } });
+    const result = await n.test(channel.id, CTX);
+    assert.equal(result.ok, false);
+    assert.match(result.error, /554 5\.7\.1 Sender rejected/);
+  } finally {
+    await smtp.close();
+  }
+});
+
+test("email gives up when the server never greets", async () => {
+  const smtp = await smtpStandIn("hang");
+  try {
+    const { notifier: n } = notifier();
+    const { channel } = n.add({ type: "email", config: { host: "127.0.0.1", port: smtp.port, to: "me@example.test" } });
+    const result = await n.test(channel.id, CTX);
+    assert.equal(result.ok, false);
+    assert.match(result.error, /greeting never received|timeout/i);
+  } finally {
+    await smtp.close();
+  }
+});
+
+test("a PATCH that sends masked secrets back keeps the stored ones", async () => {
+  const standIn = await httpStandIn();
+  try {
+    const { dataDir, notifier: n } = notifier();
+    const { channel } = n.add({ type: "ntfy", config: { url: `${standIn.url}/ikea-alerts`, token: "tk_real" } });
+    const listed = n.list().find((c) => c.id === channel.id);
+    assert.equal(listed.config.token, "***");
+
+    // What a client editing the listed channel sends back
+    const updated = n.update(channel.id, { config: { ...listed.config, priority: 5 } });
+    assert.equal(updated.error, undefined);
+    assert.equal(updated.channel.config.token, "***");
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, "channels.json"), "utf8"));
+    assert.equal(saved[0].config.token, "tk_real");
+    assert.equal(saved[0].config.priority, 5);
+
+    await n.test(channel.id, CTX);
+    assert.equal(standIn.requests[0].headers.authorization, "Bearer tk_real");
+
+    // A new value still replaces the secret
+    n.update(channel.id, { config: { token: "tk_new" } });
+    await n.test(channel.id, CTX);
+    assert.equal(standIn.requests[1].headers.authorization, "Bearer tk_new");
+  } finally {
+    await standIn.close();
+  }
+});
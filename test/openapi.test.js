@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { LOOKUP_V1_SCHEMA, openapiDocument, toLookupV1 } from "../openapi.js";
+
+// lookupMerged() results captured from /api/lookup
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), "utf8"));
+
+function resolve(schema) {
+  if (schema.$ref) return resolve(LOOKUP_V1_SCHEMA[schema.$ref.split("/").pop()]);
+  if (schema.allOf) return { ...resolve(schema.allOf[0]), nullable: Boolean(schema.nullable) };
+  return schema;
+}
+
+// Minimal OpenAPI 3.0 validator for the keywords LOOKUP_V1_SCHEMA uses; returns error paths
+function validate(value, schema, at = "$") {
+  const s = resolve(schema);
+  if (value === null) return s.nullable ? [] : [`${at}: null but not nullable`];
+
+  const errors = [];
+  if (s.enum && !s.enum.includes(value)) errors.push(`${at}: ${JSON.stringify(value)} not in enum`);
+  switch (s.type) {
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) return [`${at}: expected object`];
+      for (const key of s.required ?? []) {
+        if (!(key in value)) errors.push(`${at}.${key}: required key missing`);
+      }
+      for (const [key, v] of Object.entries(value)) {
+        if (!s.properties?.[key]) errors.push(`${at}.${key}: not in schema`);
+        else errors.push(...validate(v, s.properties[key], `${at}.${key}`));
+      }
+      break;
+    }
+    case "array":
+      if (!Array.isArray(value)) return [`${at}: expected array`];
+      value.forEach((v, i) => errors.push(...validate(v, s.items, `${at}[${i}]`)));
+      break;
+    case "string":
+      if (typeof value !== "string") errors.push(`${at}: expected string, got ${typeof value}`);
+      else if (s.pattern && !new RegExp(s.pattern).test(value)) errors.push(`${at}: "${value}" does not match ${s.pattern}`);
+      else if (s.format === "date" && !/^\d{4}-\d{2}-\d{2}$/.test(value)) errors.push(`${at}: "${value}" is not a date`);
+      break;
+    case "integer":
+      if (!Number.isInteger(value)) errors.push(`${at}: expected integer, got ${JSON.stringify(value)}`);
+      break;
+    case "number":
+      if (typeof value !== "number") errors.push(`${at}: expected number, got ${typeof value}`);
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") errors.push(`${at}: expected boolean, got ${typeof value}`);
+      break;
+    default:
+      errors.push(`${at}: schema without a type`);
+  }
+  return errors;
+}
+
+for (const name of ["lookup-full", "lookup-partial", "lookup-store-closed"]) {
+  test(`toLookupV1 output for ${name} matches LookupV1`, () => {
+    assert.deepEqual(validate(toLookupV1(fixture(name)), { $ref: "#/components/schemas/LookupV1" }), []);
+  });
+}
+
+test("full result keeps the looked-up values", () => {
+  const v1 = toLookupV1(fixture("lookup-full"));
+  assert.equal(v1.apiVersion, "1");
+  assert.equal(v1.partial, false);
+  assert.equal(v1.storeClosed, false);
+  assert.equal(v1.prices.store.raw, 89);
+  assert.equal(v1.stock.qty, 42);
+  assert.equal(v1.sources.availability.ok, true);
+});
+
+test("partial result reports the failed source and nulls its fields", () => {
+  const v1 = toLookupV1(fixture("lookup-partial"));
+  assert.equal(v1.partial, true);
+  assert.equal(v1.sources.availability.ok, false);
+  assert.equal(v1.stock.status, null);
+  assert.equal(v1.stock.descriptionText, null);
+});
+
+test("storeClosed result has null in-store fields", () => {
+  const v1 = toLookupV1(fixture("lookup-store-closed"));
+  assert.equal(v1.storeClosed, true);
+  assert.equal(v1.prices.store.raw, null);
+  assert.equal(v1.prices.store.text, null);
+});
+
+test("fields outside v1 are not projected", () => {
+  const v1 = toLookupV1(fixture("lookup-full"));
+  for (const key of ["combination", "variants", "urls", "storeClosedMessage"]) assert.equal(key in v1, false);
+  assert.equal("pickupArea" in v1.location, false);
+});
+
+test("the validator catches a wrong type, a missing key and a bad article", () => {
+  const v1 = toLookupV1(fixture("lookup-full"));
+  const schema = { $ref: "#/components/schemas/LookupV1" };
+  assert.notDeepEqual(validate({ ...v1, partial: "no" }, schema), []);
+  const noStock = { ...v1 };
+  delete noStock.stock;
+  assert.notDeepEqual(validate(noStock, schema), []);
+  assert.notDeepEqual(validate({ ...v1, article: "123" }, schema), []);
+});
+
+test("every schema referenced by the document exists", () => {
+  const refs = JSON.stringify(openapiDocument()).match(/#\/components\/schemas\/\w+/g) ?? [];
+  for (const ref of refs) assert.ok(LOOKUP_V1_SCHEMA[ref.split("/").pop()], ref);
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { stripHtml } from "../html.js";
+import { divisionRank, parseItemLocation } from "../picklist.js";
+
+// scan-shop itemLocation values (buyingInstructionSection.salesPlaceList[0].itemLocation, or
+// productCard.stockInfo.itemLocation) with the productCard.salesLocation.location.division next to them
+const CASES = [
+  ["Self serve <b>Aisle 23</b> Location <b>14</b>", "SELF_SERVE", { pickupArea: "SELF_SERVE", aisle: 23, bin: 14 }],
+  ["Self-serve furniture area, <b>Aisle 05</b>, <b>Location 21</b>", "SELF_SERVE", { pickupArea: "SELF_SERVE", aisle: 5, bin: 21 }],
+  ["Collect from: Self serve <b>Aisle 7</b> Bin <b>3</b>", "SELF_SERVE", { pickupArea: "SELF_SERVE", aisle: 7, bin: 3 }],
+  ["Aisle: 4 Loc. 12", null, { pickupArea: "SELF_SERVE", aisle: 4, bin: 12 }],
+  ["<b>Aisle 12</b> Location <b>03</b>", null, { pickupArea: "SELF_SERVE", aisle: 12, bin: 3 }],
+  ["Full serve - ask a co-worker", "FULL_SERVE", { pickupArea: "FULL_SERVE", aisle: null, bin: null }],
+  ["Please ask a co-worker for help", null, { pickupArea: "FULL_SERVE", aisle: null, bin: null }],
+  ["Contact coworker at the Furniture Pick-up", null, { pickupArea: "FULL_SERVE", aisle: null, bin: null }],
+  ["Collect from warehouse", null, { pickupArea: "WAREHOUSE_COLLECT", aisle: null, bin: null }],
+  ["Furniture pick-up", "FULL_SERVE", { pickupArea: "WAREHOUSE_COLLECT", aisle: null, bin: null }],
+  ["Showroom, Living room", "SHOWROOM", { pickupArea: "SHOWROOM", aisle: null, bin: null }],
+  ["Market Hall, Cookshop SPS007", "MARKET_HALL", { pickupArea: "MARKET_HALL", aisle: null, bin: null }],
+  ["Cookshop SPS007", "MARKET_HALL", { pickupArea: "MARKET_HALL", aisle: null, bin: null }],
+  ["Lighting", "SHOWROOM", { pickupArea: "SHOWROOM", aisle: null, bin: null }],
+  ["Lighting", null, { pickupArea: null, aisle: null, bin: null }],
+  [null, "SELF_SERVE", { pickupArea: "SELF_SERVE", aisle: null, bin: null }],
+  [null, null, { pickupArea: null, aisle: null, bin: null }]
+];
+
+for (const [itemLocation, division, expected] of CASES) {
+  test(`parseItemLocation(${JSON.stringify(itemLocation)}, ${JSON.stringify(division)})`, () => {
+    const text = itemLocation === null ? null : stripHtml(itemLocation);
+    assert.deepEqual(parseItemLocation(text, division), expected);
+  });
+}
+
+test("the parsed pickup area decides the walking order", () => {
+  const rank = (itemLocation, division) => divisionRank({ ...parseItemLocation(itemLocation, division), division });
+  assert.ok(rank("Showroom, Living room", "SHOWROOM") < rank("Market Hall, Cookshop SPS007", "MARKET_HALL"));
+  assert.ok(rank("Market Hall, Cookshop SPS007", "MARKET_HALL") < rank("Aisle 12 Location 03", null));
+  assert.ok(rank("Aisle 12 Location 03", null) < rank("Collect from warehouse", null));
+});
@@ -0,0 +1,250 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { createCache } from "../cache.js";
+import { createUpstreamClient, errorBody, errorStatus } from "../upstream.js";
+
+// One URL that answers JSON; counts the requests that reach it
+async function jsonServer() {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end('{"qty":3}');
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/item`,
+    hits: () => hits,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// Answers request n with replies[n] (the last one repeats): { status, headers, body, delayMs } or "hang".
+// Records when each request arrived.
+async function scriptedServer(replies) {
+  const arrivals = [];
+  const server = http.createServer((req, res) => {
+    const reply = replies[Math.min(arrivals.length, replies.length - 1)];
+    arrivals.push(Date.now());
+    if (reply === "hang") return;
+    const { status = 200, headers = {}, body = '{"ok":true}', delayMs = 0 } = reply;
+    setTimeout(() => {
+      res.writeHead(status, { "content-type": "application/json", ...headers });
+      res.end(body);
+    }, delayMs);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/item`,
+    arrivals,
+    hits: () => arrivals.length,
+    gaps: () => arrivals.slice(1).map((t, i) => t - arrivals[i]),
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+for (const backend of ["memory", "disk"]) {
+  test(`${backend} cache keeps JSON and text entries for the same URL apart`, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "upstream-test-"));
+    const server = await jsonServer();
+    try {
+      const cache = createCache({ backend, dir, defaultTtlMs: 60_000 });
+      const client = createUpstreamClient({ cache, clientId: "test", retries: 0 });
+
+      assert.equal(await client.text(server.url), '{"qty":3}');
+      assert.deepEqual(await client.json(server.url), { qty: 3 });
+      assert.deepEqual(await client.json(server.url, { profile: "cia" }), { qty: 3 });
+      assert.equal(server.hits(), 3);
+
+      // A fresh client on the same disk cache is served from it, each mode with its own value
+      if (backend === "disk") {
+        const again = createUpstreamClient({ cache: createCache({ backend, dir, defaultTtlMs: 60_000 }), clientId: "test", retries: 0 });
+        assert.equal(await again.text(server.url), '{"qty":3}');
+        assert.deepEqual(await again.json(server.url), { qty: 3 });
+        assert.deepEqual((await again.info(server.url)).data, { qty: 3 });
+        assert.equal(server.hits(), 3);
+      }
+      assert.deepEqual((await client.info(server.url)).data, { qty: 3 });
+      assert.equal(await client.text(server.url), '{"qty":3}');
+      assert.equal(server.hits(), 3);
+    } finally {
+      await server.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+test("concurrent identical calls share one upstream fetch", async () => {
+  const server = await scriptedServer([{ body: '{"qty":3}', delayMs: 50 }]);
+  try {
+    const client = createUpstreamClient({ clientId: "test", retries: 0 });
+    const results = await Promise.all(Array.from({ length: 10 }, () => client.json(server.url)));
+    assert.equal(server.hits(), 1);
+    results.forEach((r) => assert.deepEqual(r, { qty: 3 }));
+
+    // Once settled, the next call fetches again (no cache here)
+    await client.json(server.url);
+    assert.equal(server.hits(), 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test("each host gets its own token bucket", async () => {
+  const a = await scriptedServer([{}]);
+  const b = await scriptedServer([{}]);
+  try {
+    const client = createUpstreamClient({ clientId: "test", retries: 0, ratePerSec: 10, burst: 2 });
+    const started = Date.now();
+    // Distinct query strings so coalescing doesn't merge them
+    await Promise.all([1, 2, 3, 4].map((i) => client.json(`${a.url}?n=${i}`)));
+    const aMs = Date.now() - started;
+    // Two go out at once, then one every 100ms
+    assert.ok(aMs >= 180 && aMs < 600, `host a took ${aMs} ms`);
+    assert.ok(a.arrivals[1] - a.arrivals[0] < 50, `burst gap ${a.arrivals[1] - a.arrivals[0]} ms`);
+
+    const bStarted = Date.now();
+    await Promise.all([1, 2].map((i) => client.json(`${b.url}?n=${i}`)));
+    assert.ok(Date.now() - bStarted < 80, "host b isn't held back by host a's bucket");
+  } finally {
+    await a.close();
+    await b.close();
+  }
+});
+
+test("429 and 5xx are retried until a success", async () => {
+  const server = await scriptedServer([{ status: 503 }, { status: 429 }, { status: 500 }, { body: '{"qty":1}' }]);
+  try {
+    const client = createUpstreamClient({ clientId: "test", retries: 3, retryBaseMs: 5 });
+    assert.deepEqual(await client.json(server.url), { qty: 1 });
+    assert.equal(server.hits(), 4);
+  } finally {
+    await server.close();
+  }
+});
+
+test("retries stop after `retries` extra attempts and 4xx isn't retried", async () => {
+  const failing = await scriptedServer([{ status: 502, body: "bad gateway" }]);
+  const missing = await scriptedServer([{ status: 404 }]);
+  try {
+    const client = createUpstreamClient({ clientId: "test", retries: 2, retryBaseMs: 5 });
+    await assert.rejects(client.json(failing.url), { name: "UpstreamError", code: "HTTP_ERROR", status: 502 });
+    assert.equal(failing.hits(), 3);
+    await assert.rejects(client.json(missing.url), { code: "HTTP_ERROR", status: 404 });
+    assert.equal(missing.hits(), 1);
+  } finally {
+    await failing.close();
+    await missing.close();
+  }
+});
+
+test("backoff doubles per attempt", async () => {
+  const server = await scriptedServer([{ status: 500 }]);
+  try {
+    const client = createUpstreamClient({ clientId: "test", retries: 2, retryBaseMs: 100 });
+    await assert.rejects(client.json(server.url));
+    // retryBaseMs * 2^attempt plus up to retryBaseMs of jitter
+    const [first, second] = server.gaps();
+    assert.ok(first >= 90 && first < 300, `first gap ${first} ms`);
+    assert.ok(second >= 190 && second < 400, `second gap ${second} ms`);
+  } finally {
+    await server.close();
+  }
+});
+
+test("Retry-After sets the delay, capped at retryMaxMs", async () => {
+  const honoured = await scriptedServer([{ status: 429, headers: { "retry-after": "0.3" } }, {}]);
+  const capped = await scriptedServer([{ status: 503, headers: { "retry-after": "120" } }, {}]);
+  try {
+    await createUpstreamClient({ clientId: "test", retries: 1, retryBaseMs: 1, retryMaxMs: 1000 }).json(honoured.url);
+    const [waited] = honoured.gaps();
+    assert.ok(waited >= 280 && waited < 600, `Retry-After: 0.3 waited ${waited} ms`);
+
+    await createUpstreamClient({ clientId: "test", retries: 1, retryBaseMs: 1, retryMaxMs: 150 }).json(capped.url);
+    const [cappedWait] = capped.gaps();
+    assert.ok(cappedWait >= 140 && cappedWait < 400, `Retry-After: 120 waited ${cappedWait} ms`);
+  } finally {
+    await honoured.close();
+    await capped.close();
+  }
+});
+
+test("info() doesn't retry 503 by default", async () => {
+  const server = await scriptedServer([{ status: 503, body: '{"code":"STORE_CLOSED"}' }]);
+  try {
+    const client = createUpstreamClient({ clientId: "test", retries: 2, retryBaseMs: 5 });
+    const r = await client.info(server.url);
+    assert.deepEqual(r, { ok: false, status: 503, data: { code: "STORE_CLOSED" }, text: '{"code":"STORE_CLOSED"}' });
+    assert.equal(server.hits(), 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test("a hung endpoint fails with TIMEOUT after the per-call timeout and isn't retried", async () => {
+  const server = await scriptedServer(["hang"]);
+  try {
+    const client = createUpstreamClient({ clientId: "test", timeoutMs: 10_000, retries: 2, retryBaseMs: 5 });
+    const started = Date.now();
+    const err = await client.json(server.url, { timeoutMs: 200 }).catch((e) => e);
+    const ms = Date.now() - started;
+
+    assert.equal(err.name, "UpstreamError");
+    assert.equal(err.code, "TIMEOUT");
+    assert.equal(err.status, null);
+    assert.equal(err.url, server.url);
+    assert.ok(ms >= 190 && ms < 800, `took ${ms} ms`);
+    assert.equal(server.hits(), 1);
+    assert.equal(errorStatus(err), 504);
+    assert.deepEqual(errorBody(err).upstream, { code: "TIMEOUT", status: null, url: server.url, bodyExcerpt: null, message: err.message });
+  } finally {
+    await server.close();
+  }
+});
+
+test("a 5xx that stays failing is an HTTP_ERROR with the start of the body", async () => {
+  const body = `internal error: ${"x".repeat(500)}`;
+  const server = await scriptedServer([{ status: 500, headers: { "content-type": "text/plain" }, body }]);
+  try {
+    const client = createUpstreamClient({ clientId: "test", retries: 1, retryBaseMs: 5 });
+    const err = await client.json(server.url).catch((e) => e);
+
+    assert.equal(err.code, "HTTP_ERROR");
+    assert.equal(err.status, 500);
+    assert.equal(err.bodyExcerpt, body.slice(0, 400));
+    assert.equal(err.profile, "shop");
+    assert.equal(server.hits(), 2);
+    assert.equal(errorStatus(err), 502);
+    assert.equal(errorBody(err).error, err.message);
+    assert.equal(errorBody(err).upstream.bodyExcerpt, body.slice(0, 400));
+  } finally {
+    await server.close();
+  }
+});
+
+test("a refused connection is a NETWORK error, retried like a 5xx", async () => {
+  const server = await scriptedServer([{}]);
+  const { url } = server;
+  await server.close();
+  let attempts = 0;
+  const client = createUpstreamClient({ clientId: "test", retries: 1, retryBaseMs: 5 }).use({ onRequest: () => attempts++ });
+  const err = await client.text(url).catch((e) => e);
+
+  assert.equal(err.code, "NETWORK");
+  assert.equal(err.status, null);
+  assert.equal(attempts, 2);
+  assert.equal(errorStatus(err), 502);
+});
+
+test("errors that aren't from upstream are a plain 500", () => {
+  const err = new Error("boom");
+  assert.equal(errorStatus(err), 500);
+  assert.deepEqual(errorBody(err), { error: "boom" });
+});
@@ -0,0 +1,304 @@
+// ---- Upstream client: every call to IKEA goes through here ----
+// One place for:
+//  - header profiles (shop API vs Ingka CIA x-client-id vs plain HTML pages)
+//  - per-call timeouts (AbortSignal), so a hung endpoint can't hang a request
+//  - the shared response cache (see cache.js) and in-flight coalescing
+//  - per-host token-bucket rate limiting with retry/backoff on 429/5xx
+//  - structured errors (UpstreamError) and metrics hooks
+
+const USER_AGENT = "ikea-lookup/1.0 (+server-side proxy)";
+
+/**
+ * Error for any failed upstream call.
+ *   code          HTTP_ERROR | TIMEOUT | NETWORK | BAD_RESPONSE
+ *   status        upstream HTTP status (null if no response)
+ *   url           upstream URL
+ *   bodyExcerpt   start of the response body, for debugging
+ */
+export class UpstreamError extends Error {
+  constructor(message, { code = "HTTP_ERROR", status = null, url = null, bodyExcerpt = null, profile = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "UpstreamError";
+    this.code = code;
+    this.status = status;
+    this.url = url;
+    this.bodyExcerpt = bodyExcerpt;
+    this.profile = profile;
+  }
+
+  toJSON() {
+    return { code: this.code, status: this.status, url: this.url, bodyExcerpt: this.bodyExcerpt, message: this.message };
+  }
+}
+
+// HTTP status + JSON body for a request that failed with `e`; upstream failures become 502 (504 on
+// timeout) and carry the structured upstream error.
+export function errorStatus(e) {
+  if (!(e instanceof UpstreamError)) return 500;
+  return e.code === "TIMEOUT" ? 504 : 502;
+}
+
+export function errorBody(e) {
+  const body = { error: e?.message || String(e) };
+  if (e instanceof UpstreamError) body.upstream = e.toJSON();
+  return body;
+}
+
+function headerProfiles(clientId) {
+  return {
+    shop: { "accept": "application/json,text/plain,*/*", "user-agent": USER_AGENT },
+    cia: { "x-client-id": clientId, "accept": "application/json;version=1", "user-agent": USER_AGENT },
+    html: { "accept": "text/html,*/*", "user-agent": USER_AGENT }
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Create the upstream client.
+ *   cache          cache from createCache() (optional)
+ *   clientId       Ingka x-client-id for the "cia" profile
+ *   timeoutMs      default per-attempt timeout
+ *   ratePerSec     token-bucket refill per host
+ *   burst          token-bucket size per host
+ *   retries        extra attempts on 429/5xx/network errors
+ *   retryBaseMs    first backoff delay (doubles per attempt, plus jitter)
+ *   retryMaxMs     cap for backoff and Retry-After
+ */
+export function createUpstreamClient({
+  cache = null,
+  clientId,
+  timeoutMs = 10_000,
+  ratePerSec = 5,
+  burst = 10,
+  retries = 2,
+  retryBaseMs = 500,
+  retryMaxMs = 10_000
+} = {}) {
+  const profiles = headerProfiles(clientId);
+  const hooks = [];
+  const inflight = new Map(); // mode:url -> Promise
+  const buckets = new Map(); // host -> { tokens, last }
+
+  function emit(name, payload) {
+    for (const h of hooks) {
+      try {
+        h[name]?.(payload);
+      } catch {
+        // a broken metrics hook must never break a lookup
+      }
+    }
+  }
+
+  function coalesce(key, fn) {
+    const existing = inflight.get(key);
+    if (existing) return existing;
+    const p = Promise.resolve()
+      .then(fn)
+      .finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+
+  // Reserve a token; tokens may go negative, which queues callers in arrival order.
+  async function takeToken(host) {
+    const now = Date.now();
+    const b = buckets.get(host) || { tokens: burst, last: now };
+    b.tokens = Math.min(burst, b.tokens + ((now - b.last) / 1000) * ratePerSec);
+    b.last = now;
+    b.tokens -= 1;
+    buckets.set(host, b);
+    if (b.tokens < 0) await sleep((-b.tokens / ratePerSec) * 1000);
+  }
+
+  function retryDelayMs(res, attempt) {
+    const ra = res?.headers?.get("retry-after");
+    if (ra) {
+      const secs = Number(ra);
+      const ms = Number.isFinite(secs) ? secs * 1000 : Date.parse(ra) - Date.now();
+      if (Number.isFinite(ms) && ms >= 0) return Math.min(ms, retryMaxMs);
+    }
+    return Math.min(retryBaseMs * 2 ** attempt + Math.random() * retryBaseMs, retryMaxMs);
+  }
+
+  /**
+   * Rate-limited fetch with retries and a timeout per attempt. Resolves with the final Response
+   * and a `read(fn)` that reads the body under the same timeout.
+   * Timeouts are not retried (a hung endpoint would just multiply the wait).
+   */
+  async function send(url, { profile, kind, timeoutMs: callTimeoutMs, retryable }) {
+    const host = new URL(url).host;
+    const limit = callTimeoutMs ?? timeoutMs;
+    const info = { url, host, profile, kind };
+
+    for (let attempt = 0; ; attempt++) {
+      await takeToken(host);
+      const started = Date.now();
+      const signal = AbortSignal.timeout(limit);
+      emit("onRequest", { ...info, attempt });
+
+      let res;
+      try {
+        res = await fetch(url, { headers: profiles[profile], signal });
+      } catch (e) {
+        const timedOut = e?.name === "TimeoutError" || e?.name === "AbortError";
+        const err = timedOut
+          ? new UpstreamError(`Timed out after ${limit}ms: ${url}`, { code: "TIMEOUT", url, profile, cause: e })
+          : new UpstreamError(`Network error for ${url}: ${e?.cause?.message || e?.message || e}`, { code: "NETWORK", url, profile, cause: e });
+        const willRetry = !timedOut && attempt < retries;
+        emit("onError", { ...info, attempt, ms: Date.now() - started, error: err, willRetry });
+        if (!willRetry) throw err;
+        await sleep(retryDelayMs(null, attempt));
+        continue;
+      }
+
+      const willRetry = retryable(res.status) && attempt < retries;
+      emit("onResponse", { ...info, attempt, status: res.status, ms: Date.now() - started, willRetry });
+      if (!willRetry) {
+        const read = async (fn) => {
+          try {
+            return await fn(res);
+          } catch (e) {
+            if (e?.name === "TimeoutError" || e?.name === "AbortError") {
+              throw new UpstreamError(`Timed out after ${limit}ms reading ${url}`, { code: "TIMEOUT", status: res.status, url, profile, cause: e });
+            }
+            throw e;
+          }
+        };
+        return { res, read };
+      }
+      await res.body?.cancel().catch(() => {});
+      await sleep(retryDelayMs(res, attempt));
+    }
+  }
+
+  async function httpError(res, read, url, profile, excerptLen) {
+    const txt = await read((r) => r.text()).catch(() => "");
+    const bodyExcerpt = txt.slice(0, excerptLen);
+    return new UpstreamError(`HTTP ${res.status} from ${url}: ${bodyExcerpt}`, { status: res.status, url, bodyExcerpt, profile });
+  }
+
+  // Cache entries are keyed "mode:url" so a parsed JSON body and an HTML page fetched from the same URL
+  // can't be served for each other. Modes: "json" / "cia" (json() and info() by header profile; both cache
+  // a parsed 2xx body, so they share entries) and "text" (HTML pages).
+  const jsonMode = (profile) => (profile === "cia" ? "cia" : "json");
+
+  async function cached(mode, url, kind) {
+    if (!cache) return null;
+    const v = await cache.get(`${mode}:${url}`);
+    emit(v ? "onCacheHit" : "onCacheMiss", { url, kind });
+    return v;
+  }
+
+  async function store(mode, url, value, kind) {
+    if (cache) await cache.set(`${mode}:${url}`, value, { kind });
+  }
+
+  return {
+    /**
+     * Register metrics hooks: { onRequest, onResponse, onError, onCacheHit, onCacheMiss }.
+     * Each receives { url, host, profile, kind, attempt, status, ms, error, willRetry } as applicable.
+     */
+    use(h) {
+      if (h && typeof h === "object") hooks.push(h);
+      return this;
+    },
+
+    /**
+     * GET JSON; throws UpstreamError on non-2xx.
+     *   profile   "shop" (default) | "cia"
+     *   kind      cache TTL kind (see CACHE_TTLS in server.js)
+     */
+    async json(url, { profile = "shop", kind = null, timeoutMs: t = null, retryable = isRetryableStatus } = {}) {
+      const hit = await cached(jsonMode(profile), url, kind);
+      if (hit) return hit;
+
+      return coalesce(`json:${url}`, async () => {
+        const { res, read } = await send(url, { profile, kind, timeoutMs: t, retryable });
+        if (!res.ok) throw await httpError(res, read, url, profile, 400);
+
+        let data;
+        try {
+          data = await read((r) => r.json());
+        } catch (e) {
+          if (e instanceof UpstreamError) throw e;
+          throw new UpstreamError(`Invalid JSON from ${url}: ${e?.message || e}`, { code: "BAD_RESPONSE", status: res.status, url, profile, cause: e });
+        }
+        await store(jsonMode(profile), url, data, kind);
+        return data;
+      });
+    },
+
+    /**
+     * Like json(), but does NOT throw on non-2xx responses: resolves { ok, status, data, text }.
+     * Useful for IKEA scan-shop which can return 503 STORE_CLOSED during end-of-day handling,
+     * which is why 503 isn't retried here by default.
+     * Only successful JSON responses are cached (avoid caching transient errors).
+     */
+    async info(url, { profile = "shop", kind = null, timeoutMs: t = null, retryable = (s) => s !== 503 && isRetryableStatus(s) } = {}) {
+      const hit = await cached(jsonMode(profile), url, kind);
+      if (hit) return { ok: true, status: 200, data: hit };
+
+      return coalesce(`info:${url}`, async () => {
+        const { res, read } = await send(url, { profile, kind, timeoutMs: t, retryable });
+        const status = res.status;
+
+        // Try JSON first (IKEA usually returns JSON for errors too), fallback to text
+        let data = null;
+        let text = null;
+        const ct = (res.headers.get("content-type") || "").toLowerCase();
+
+        if (ct.includes("application/json")) {
+          data = await read((r) => r.json()).catch((e) => {
+            if (e instanceof UpstreamError) throw e;
+            return null;
+          });
+        } else {
+          text = await read((r) => r.text());
+          // Sometimes JSON is returned with odd headers
+          try {
+            data = JSON.parse(text);
+          } catch {
+            // ignore
+          }
+        }
+
+        if (res.ok) {
+          if (data !== null) await store(jsonMode(profile), url, data, kind);
+          return { ok: true, status, data };
+        }
+
+        // Preserve some readable text for debugging
+        if (!text) {
+          try {
+            text = typeof data === "string" ? data : JSON.stringify(data);
+          } catch {
+            text = "";
+          }
+        }
+
+        return { ok: false, status, data, text };
+      });
+    },
+
+    // GET an HTML page (store pages); throws UpstreamError on non-2xx.
+    async text(url, { kind = null, timeoutMs: t = null, retryable = isRetryableStatus } = {}) {
+      const hit = await cached("text", url, kind);
+      if (hit) return hit;
+
+      return coalesce(`text:${url}`, async () => {
+        const { res, read } = await send(url, { profile: "html", kind, timeoutMs: t, retryable });
+        if (!res.ok) throw await httpError(res, read, url, "html", 200);
+        const html = await read((r) => r.text());
+        await store("text", url, html, kind);
+        return html;
+      });
+    }
+  };
+}